@@ -1,13 +1,20 @@
 // Single-site app that hosts both: JSON Builder + Focus Calculator.
 // Shared store so edits/imports reflect live in the calculator.
 
+// Recipe normalization, mastery rules and the calculation itself live in engine.js
+// (FocusEngine), which has no DOM access so cli.js can run the same code in Node.
+const {
+  fmt2, isFiniteNum, nz, clamp, formatDuration,
+  LIFE_SKILLS, PERK_LIBRARY, normalizeSkillName, normalizeRecipe, parseRecipes, recipeVariants,
+  MASTERY_DEFAULTS, EFFECT_ORDER, normalizeMasteryDefinitions,
+  YieldMode, effectiveYield, confidenceMode, reachProbability, RouteObjective, actionFor, takeFromStock, focusSchedule, sumTimeSeconds, describeLine
+} = FocusEngine;
+
 // ----------------- Utilities -----------------
 const $ = s => document.querySelector(s);
 const $$ = s => Array.from(document.querySelectorAll(s));
-const fmt2 = n => Number(n).toFixed(2);
-const isFiniteNum = x => typeof x === 'number' && Number.isFinite(x);
-const nz = (x, d = 0) => Number.isFinite(Number(x)) ? Number(x) : d;
-const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+// For names and other user text placed into innerHTML templates (recipes can come from imports and share links)
+const escapeHtml = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 const download = (filename, text) => {
   const a = document.createElement('a');
   a.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
@@ -15,68 +22,150 @@ const download = (filename, text) => {
   a.click();
   URL.revokeObjectURL(a.href);
 };
-const formatDuration = (seconds) => {
-  seconds = Math.max(0, Math.round(seconds || 0));
-  const h = Math.floor(seconds / 3600);
-  const m = Math.floor((seconds % 3600) / 60);
-  const s = seconds % 60;
-  return h >= 1 ? `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
-    : `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+// UTF-8 text <-> URL-safe base64 (for share links)
+const b64urlEncode = text => {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 };
-const csvEsc = s => {
-  s = String(s ?? '');
-  return (s.includes(',') || s.includes('"')) ? `"${s.replace(/"/g, '""')}"` : s;
+const b64urlDecode = code => {
+  const bin = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
 };
 
+// ----------------- Recipe graph helpers -----------------
+// Ingredient names across every route of a recipe (primary first)
+const routeIngredients = rec => [...new Set(recipeVariants(rec).flatMap(v => Object.keys(v.Ingredients || {})))];
+
+// Returns every distinct cycle in a name -> recipe map as an array of name paths (first === last).
+// Any route counts: a cycle through an alternative route is still a cycle.
+function findCycles(recipes) {
+  const cycles = [];
+  const seen = new Set();
+  const state = {}; // 1 = on stack, 2 = done
+  const stack = [];
+  function visit(name) {
+    state[name] = 1; stack.push(name);
+    for (const ing of routeIngredients(recipes[name])) {
+      if (!recipes[ing]) continue;
+      if (state[ing] === 1) {
+        const cyc = stack.slice(stack.indexOf(ing)).concat(ing);
+        const key = cyc.slice(0, -1).slice().sort().join('|');
+        if (!seen.has(key)) { seen.add(key); cycles.push(cyc); }
+      } else if (!state[ing]) visit(ing);
+    }
+    stack.pop(); state[name] = 2;
+  }
+  for (const name of Object.keys(recipes)) if (!state[name]) visit(name);
+  return cycles;
+}
 
-// ----------------- Life Skills (taxonomy) -----------------
-const LIFE_SKILLS = [
-  "Smelting","Culinary","Gemcrafting","Weaving","Artisanry","Alchemy",
-  "Mineralogy","Botany","Gemology"
-];
-const CRAFTING_SKILLS = new Set(["Smelting","Culinary","Gemcrafting","Weaving","Artisanry","Alchemy"]);
-const GATHERING_SKILLS = new Set(["Mineralogy","Botany","Gemology"]);
-
-// Preset mastery toggles per skill -> effects that roll into EV/time
-const PERK_LIBRARY = {
-  Smelting: [
-    { id:'smelt_time',   label:'Time Saver',          desc:'Reduced crafting time.',          effects:{ timePct:-15 } },
-    { id:'smelt_yield',  label:'Yield Booster',       desc:'Improves odds for extra output.', effects:{ yieldPct:10 } },
-    { id:'smelt_plus1',  label:'+1 Output Chance',    desc:'Occasional extra bar/stone.',     effects:{ plusOnePct:5 } },
-  ],
-  Gemcrafting: [
-    { id:'gemc_time',    label:'Time Saver',          desc:'Reduced crafting time.',          effects:{ timePct:-10 } },
-    { id:'gemc_yield',   label:'Quality/Gains Bonus', desc:'Slight increase to result EV.',   effects:{ yieldPct:10 } },
-  ],
-  Weaving: [
-    { id:'weave_time',   label:'Time Saver',          desc:'Reduced crafting time.',          effects:{ timePct:-20 } },
-    { id:'weave_bonus',  label:'Bonus Dye',           desc:'Chance to craft 1 extra dye.',    effects:{ plusOnePct:10 } },
-  ],
-  Artisanry: [
-    { id:'art_time',     label:'Time Saver',          desc:'Reduced crafting time.',          effects:{ timePct:-10 } },
-    { id:'art_yield',    label:'Batch Gains',         desc:'Slight increase to batch yield.', effects:{ yieldPct:10 } },
-  ],
-  Culinary: [
-    { id:'cul_time',     label:'Time Saver',          desc:'Reduced cooking time.',           effects:{ timePct:-10 } },
-    { id:'cul_upgrade',  label:'Rarity Upgrade',      desc:'Chance to improve result tier.',  effects:{ plusOnePct:12 } },
-  ],
-  Alchemy: [
-    { id:'alc_time',     label:'Time Saver',          desc:'Reduced brewing time.',           effects:{ timePct:-10 } },
-    { id:'alc_upgrade',  label:'Rarity Upgrade',      desc:'Chance to craft higher tier.',    effects:{ plusOnePct:12 } },
-  ],
-  Mineralogy: [
-    { id:'min_time',     label:'Faster Gathering',    desc:'Reduced gather time.',            effects:{ timePct:-10 } },
-    { id:'min_double',   label:'Double Gather',       desc:'Occasional extra ore.',           effects:{ doublePct:15 } },
-  ],
-  Botany: [
-    { id:'bot_time',     label:'Faster Gathering',    desc:'Reduced gather time.',            effects:{ timePct:-10 } },
-    { id:'bot_double',   label:'Double Gather',       desc:'Occasional extra herbs.',         effects:{ doublePct:15 } },
-  ],
-  Gemology: [
-    { id:'geo_time',     label:'Faster Gathering',    desc:'Reduced gather time.',            effects:{ timePct:-10 } },
-    { id:'geo_double',   label:'Double Gather',       desc:'Occasional extra gems.',          effects:{ doublePct:15 } },
-  ],
-};
+// Whole-graph analysis of a name -> recipe map:
+// - dangling:   ingredient name -> recipes that use it, for names no recipe defines
+// - cycles:     see findCycles
+// - blocked:    recipes that can't be calculated because every route has something dangling or
+//               cyclic upstream (the reason given is the primary route's)
+// - orphans:    recipes with no ingredients that nothing uses
+// - roots:      recipes that nothing uses (end products)
+// - depth:      longest ingredient chain below each recipe, along its shallowest usable route
+//               (or its primary route when none is usable; leaf = 0; null when blocked by a cycle)
+// - usedBy:     name -> recipes that list it as an ingredient
+function analyzeGraph(recipes) {
+  const names = Object.keys(recipes);
+  const usedBy = {};
+  const dangling = {};
+  for (const name of names) {
+    // Alternative routes count as uses too, so their missing ingredients show up
+    for (const ing of routeIngredients(recipes[name])) {
+      (usedBy[ing] = usedBy[ing] || []).push(name);
+      if (!recipes[ing]) (dangling[ing] = dangling[ing] || []).push(name);
+    }
+  }
+  const cycles = findCycles(recipes);
+  const onCycle = new Set(cycles.flat());
+
+  const depth = {};
+  const blockedBy = {}; // name -> first reason
+  const visiting = new Set();
+  // -> { d, reason, loops }. A route that comes back to a material still being walked (loops)
+  // is blocked on this path only, so results that depend on one further up are not cached;
+  // the same rule as the engine's routeInfo.
+  function walk(name) {
+    if (name in depth) return { d: depth[name], reason: blockedBy[name] };
+    if (visiting.has(name)) return { d: null, reason: 'cycle', loops: new Set([name]) };
+    visiting.add(name);
+    const loops = new Set();
+    const routes = recipeVariants(recipes[name]).map(v => {
+      let d = 0, reason = null;
+      for (const ing of Object.keys(v.Ingredients || {})) {
+        if (!recipes[ing]) { reason = reason || `missing "${ing}"`; continue; }
+        const sub = walk(ing);
+        sub.loops?.forEach(n => loops.add(n));
+        if (sub.d == null) return { d: null, reason: onCycle.has(name) ? 'cycle' : `via ${ing}` };
+        if (sub.reason) reason = reason || `via ${ing}`;
+        d = Math.max(d, sub.d + 1);
+      }
+      return { d, reason };
+    });
+    visiting.delete(name);
+    const usable = routes.filter(r => !r.reason);
+    const out = usable.length
+      ? { d: Math.min(...usable.map(r => r.d)), reason: null }
+      : { d: routes[0].d, reason: routes[0].reason };
+    loops.delete(name);
+    if (loops.size) return { ...out, loops };
+    depth[name] = out.d;
+    if (out.reason) blockedBy[name] = out.reason;
+    return out;
+  }
+  names.forEach(walk);
+
+  const roots = names.filter(n => !usedBy[n]).sort((a, b) => a.localeCompare(b));
+  const orphans = roots.filter(n => !routeIngredients(recipes[n]).length);
+  return { dangling, cycles, blocked: blockedBy, orphans, roots, depth, usedBy };
+}
+
+// Edit distance counting a swap of two neighbouring letters as one edit; gives up above `max`
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      best = Math.min(best, cur[j]);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev; prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Groups of names that probably mean the same material: equal once case, spacing and
+// punctuation are ignored, or a typo or two apart. Names with different numbers (tiers,
+// levels) are never grouped. Returns arrays of 2+ names, each sorted.
+function findNearDuplicates(names) {
+  const key = n => n.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const digits = n => (n.match(/\d+/g) || []).join(',');
+  const parent = new Map(names.map(n => [n, n]));
+  const root = n => (parent.get(n) === n ? n : root(parent.get(n)));
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const a = names[i], b = names[j];
+      if (digits(a) !== digits(b)) continue;
+      const ka = key(a), kb = key(b);
+      const max = Math.min(ka.length, kb.length) >= 8 ? 2 : 1;
+      if (ka === kb || editDistance(ka, kb, max) <= max) parent.set(root(a), root(b));
+    }
+  }
+  const groups = {};
+  for (const n of names) (groups[root(n)] = groups[root(n)] || []).push(n);
+  return Object.values(groups).filter(g => g.length > 1).map(g => g.sort((a, b) => a.localeCompare(b)));
+}
 
 // ----------------- Recipe Store -----------------
 const Store = (() => {
@@ -84,143 +173,289 @@ const Store = (() => {
   let map = {};
   let arrayFormat = true;
 
-const SKILLS = LIFE_SKILLS;
+  // Persisted copy of the store. Bump SCHEMA_VERSION whenever the saved shape or a
+  // recipe field changes, and add a step to MIGRATIONS that lifts the previous version.
+  const storageKey = 'bp_recipes';
+  const SCHEMA_VERSION = 1;
+  const MIGRATIONS = {
+    // v0: bare recipes.json payload (array or name-keyed object) saved without an envelope
+    0: raw => ({ schema: 1, arrayFormat: Array.isArray(raw), savedAt: null, recipes: raw })
+  };
+  let source = 'empty'; // 'saved' | 'bundled' | 'import' | 'edited' | 'empty'
+  let savedAt = null;
 
-function normalizeSkillName(s){
-  s = String(s || '').trim();
-  if (!s) return null;
-  // case-insensitive match to known skills
-  const m = SKILLS.find(x => x.toLowerCase() === s.toLowerCase());
-  return m || null;
-}
+  let restoring = false;
+  function onChange() { persist(restoring); listeners.forEach(fn => fn()); }
+  function subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); }
+  // Renames and merges, as (fromNames, to), so data kept elsewhere under a material's name
+  // can follow it. Called before the change notification, also when undo or redo crosses one.
+  const renameListeners = new Set();
+  function onRename(fn) { renameListeners.add(fn); return () => renameListeners.delete(fn); }
+  function announceRename(from, to) { renameListeners.forEach(fn => fn(from, to)); }
+  // Announces a rename and keeps it on the history entry just recorded. `back` is the name
+  // undo hands the data back to, or null when `to` was already a material (merged data
+  // can't be split again, and stays under a name that still exists).
+  function renamed(from, to, back) {
+    const entry = past[past.length - 1];
+    if (entry) entry.rename = { from, to, back };
+    announceRename(from, to);
+  }
 
-function classifyLifeSkill(name, isMineable, ingredients) {
-  name = String(name||'').toLowerCase();
-  const ingNames = Object.keys(ingredients||{}).map(k => String(k||'').toLowerCase()).join(' ');
-
-  // Gathered first
-  if (isMineable) {
-    if (/(ore|metal|ingot|stone|rock|azte|boru)/.test(name)) return "Mineralogy";
-    if (/(gem|ruby|sapphire|emerald|opal|radiant)/.test(name)) return "Gemology";
-    if (/(herb|plant|berry|stem|juice|parsely|musk|log|wood|resin)/.test(name)) return "Botany";
-    // Try infer from ingredients too
-    if (/(gem|ruby|sapphire|emerald|opal)/.test(ingNames)) return "Gemology";
-    if (/(berry|herb|plant|wood|resin)/.test(ingNames)) return "Botany";
-    if (/(ore|metal|ingot|stone)/.test(ingNames)) return "Mineralogy";
-    return "Mineralogy"; // default gather
-  }
-
-  // Crafted
-  if (/(smelt|metal|ingot|stone)/.test(name)) return "Smelting";
-  if (/(potion|elixir|serum|aromatic|catalyst|alchemy)/.test(name)) return "Alchemy";
-  if (/(food|meal|soup|bread|culin|stew)/.test(name)) return "Culinary";
-  if (/(gem|cut|jewel|ring|ruby)/.test(name)) return "Gemcrafting";
-  if (/(dye|cloth|thread|weave)/.test(name)) return "Weaving";
-  if (/(wax|powder|lumber|resin|artisan)/.test(name)) return "Artisanry";
-
-  // fallback heuristic from ingredients
-  if (/(ore|metal|ingot|stone)/.test(ingNames)) return "Smelting";
-  if (/(gem|ruby|sapphire|emerald|opal)/.test(ingNames)) return "Gemcrafting";
-  if (/(berry|herb|plant|food|meal|juice)/.test(ingNames)) return "Culinary";
-  if (/(potion|elixir|serum|aromatic|catalyst)/.test(ingNames)) return "Alchemy";
-  if (/(dye|cloth|thread)/.test(ingNames)) return "Weaving";
-  if (/(wax|powder|lumber|resin)/.test(ingNames)) return "Artisanry";
-
-  return null;
-}
+  // An unedited copy of the bundled recipes is not kept: the next visit fetches recipes.json
+  // again, so updates to it reach everyone who never changed anything
+  function persist(keepTimestamp = false) {
+    try {
+      if (source === 'bundled') { localStorage.removeItem(storageKey); savedAt = null; return; }
+      if (!keepTimestamp || !savedAt) savedAt = new Date().toISOString();
+      localStorage.setItem(storageKey, JSON.stringify({
+        schema: SCHEMA_VERSION, arrayFormat, source, savedAt, recipes: Object.values(map)
+      }));
+    } catch (e) {
+      console.warn('Could not save recipes to localStorage:', e);
+    }
+  }
 
-  function onChange() { listeners.forEach(fn => fn()); }
-  function subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); }
+  // Lift any older saved payload to SCHEMA_VERSION, one step at a time
+  function migrate(data) {
+    let d = (data && typeof data === 'object' && 'schema' in data && 'recipes' in data) ? data : { schema: 0, raw: data };
+    while (d.schema < SCHEMA_VERSION) {
+      const step = MIGRATIONS[d.schema];
+      if (!step) throw new Error(`No migration from recipe schema v${d.schema}`);
+      d = step(d.schema === 0 ? d.raw : d);
+    }
+    if (d.schema > SCHEMA_VERSION) throw new Error(`Saved recipes use newer schema v${d.schema}`);
+    return d;
+  }
 
-  const toProb = v => {
-    if (v === null || v === undefined || v === '') return null;
-    let p = Number(v);
-    if (!Number.isFinite(p)) return null;
-    if (p > 1) p = p / 100;       // allow 0–100%
-    return clamp(p, 0, 1);
-  };
+  function hasSaved() { return localStorage.getItem(storageKey) != null; }
 
-  // Convert { qty: prob } into normalized 0–1 probs; accept % or 0–1
-  function normalizeOutcomes(obj) {
-    if (!obj || typeof obj !== 'object') return null;
-    const pairs = Object.entries(obj)
-      .map(([k, v]) => [Number(k), Number(v)])
-      .filter(([q, p]) => Number.isFinite(q) && q >= 0 && Number.isFinite(p) && p >= 0);
-    if (!pairs.length) return null;
-
-    // Convert >1 to percent; then normalize to sum 1
-    const converted = pairs.map(([q, p]) => [q, p > 1 ? (p / 100) : p]);
-    const sum = converted.reduce((s, [, p]) => s + p, 0);
-    if (sum <= 0) return null;
-
-    const norm = {};
-    for (const [q, p] of converted) norm[q] = p / sum;
-    return norm;
-  }
-
-  function normalizeRecipe(r) {
-
-    // Fixed yield: allow null, but keep fixed yields > 0 if provided
-    let fixedYield = r.Yield;
-    const hasFixed = fixedYield !== '' && fixedYield !== null && fixedYield !== undefined;
-    fixedYield = hasFixed ? Number(fixedYield) : null;
-    const toNonNegOrNull = v =>
-      (v === '' || v == null) ? null
-        : (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : null);
-
-    const nr = {
-      Name: String(r.Name || '').trim(),
-      LifeSkill: null,
-      FocusCost: nz(r.FocusCost),
-      Yield: hasFixed ? (Number.isFinite(fixedYield) && fixedYield > 0 ? fixedYield : 1) : null,
-      // Min/Max: allow 0 as valid
-      YieldMin: toNonNegOrNull(r.YieldMin),
-      YieldMax: toNonNegOrNull(r.YieldMax),
-      TimePerCraftSeconds: nz(r.TimePerCraftSeconds, 0),
-      IsMineable: !!r.IsMineable,
-      Ingredients: {},
-      YieldOutcomes: normalizeOutcomes(r.YieldOutcomes),
-      // Deprecated, still accepted for backward compat on Min/Max only
-      YieldMinChance: toProb(r.YieldMinChance),
-      YieldMaxChance: toProb(r.YieldMaxChance)
+  // Load the saved copy, keeping the source it was saved with; returns false when there is
+  // nothing (usable) saved, or only an unedited bundled copy, so the caller loads recipes.json
+  function restore() {
+    const raw = localStorage.getItem(storageKey);
+    if (raw == null) return false;
+    try {
+      const d = migrate(JSON.parse(raw));
+      if (d.source === 'bundled') return false;
+      // Re-save in the current schema, but keep the original save time
+      savedAt = d.savedAt || null;
+      restoring = true;
+      try { load(d.recipes, d.source || 'saved'); } finally { restoring = false; }
+      arrayFormat = d.arrayFormat !== false;
+      persist(true);
+      return true;
+    } catch (e) {
+      console.warn('Ignoring saved recipes:', e);
+      savedAt = null;
+      return false;
+    }
+  }
+  // Forget the saved copy; the next page load starts from the bundled recipes again
+  function discardSaved() {
+    localStorage.removeItem(storageKey);
+    savedAt = null;
+    listeners.forEach(fn => fn());
+  }
+  function meta() { return { source, savedAt, schema: SCHEMA_VERSION, hasSaved: hasSaved() }; }
+
+  // Primary recipe first, then its alternatives (see FocusEngine.recipeVariants)
+  function variants(name) { return recipeVariants(map[name]); }
+
+  // ----- Undo/redo: each entry is the state *before* a labelled change
+  const HISTORY_LIMIT = 50;
+  const past = [];
+  const future = [];
+  const snapshot = () => ({ map: JSON.parse(JSON.stringify(map)), arrayFormat, source });
+  function record(label) {
+    past.push({ label, at: Date.now(), state: snapshot() });
+    if (past.length > HISTORY_LIMIT) past.shift();
+    future.length = 0;
+  }
+  function applySnapshot(st) { map = st.map; arrayFormat = st.arrayFormat; source = st.source; }
+  // Move up to `steps` entries from one stack to the other with a single change
+  // notification; returns the label of the last step moved, or null if there was none
+  function travel(from, to, steps) {
+    let label = null;
+    for (let n = steps; n > 0 && from.length; n--) {
+      const step = from.pop();
+      to.push({ label: step.label, at: step.at, state: snapshot(), rename: step.rename });
+      applySnapshot(step.state);
+      // Saved data under a renamed material follows the names back (undo) or forward (redo)
+      if (step.rename && from === past) {
+        if (step.rename.back) announceRename([step.rename.to], step.rename.back);
+      } else if (step.rename) announceRename(step.rename.from, step.rename.to);
+      label = step.label;
+    }
+    if (label != null) onChange();
+    return label;
+  }
+  function undo(steps = 1) { return travel(past, future, steps); }
+  function redo(steps = 1) { return travel(future, past, steps); }
+  // Oldest first; entries after `past` are redoable
+  function history() {
+    return {
+      done: past.map(({ label, at }) => ({ label, at })),
+      undone: future.map(({ label, at }) => ({ label, at })).reverse()
     };
+  }
+  function resetHistory() { past.length = 0; future.length = 0; onChange(); }
+
+  // Parse recipes.json (array or name-keyed object) into a normalized name -> recipe map
+  const parse = parseRecipes;
+
+  function load(json, from = 'import', label = null) {
+    const { map: m, isArray } = parse(json);
+    if (!restoring) record(label || `Imported ${Object.keys(m).length} recipes`);
+    map = m; arrayFormat = isArray; source = from;
+    onChange();
+  }
+
+  // ----- Validation report for raw (un-normalized) recipe JSON
+  // Lists what normalizeRecipe would silently fix, plus graph problems.
+  // `context` holds recipes the import will sit next to (merge mode), so their names resolve.
+  function validate(json, context = {}) {
+    const raw = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!raw || typeof raw !== 'object') throw new Error('Recipes JSON must be an array or an object.');
+    const entries = Array.isArray(raw)
+      ? raw.map((r, i) => ({ key: r?.Name ? String(r.Name).trim() : `#${i + 1}`, r }))
+      : Object.entries(raw).map(([k, r]) => ({ key: String(r?.Name || k).trim(), r }));
+
+    const report = {}; // name -> [{ level: 'error'|'warn'|'info', msg }]
+    const add = (name, level, msg) => (report[name] = report[name] || []).push({ level, msg });
+    const num = v => (v === '' || v == null) ? null : Number(v);
+    const names = new Set();
+    const parsed = {};
+
+    for (const { key, r } of entries) {
+      if (!r || typeof r !== 'object') { add(key, 'error', 'Entry is not an object; it will be skipped.'); continue; }
+      if (!String(r.Name || '').trim() && Array.isArray(raw)) { add(key, 'error', 'Missing Name; it will be skipped.'); continue; }
+      if (names.has(key)) add(key, 'warn', 'Duplicate Name; the later entry replaces the earlier one.');
+      names.add(key);
+
+      const focus = num(r.FocusCost);
+      if (r.FocusCost != null && r.FocusCost !== '' && !Number.isFinite(focus)) add(key, 'warn', `FocusCost "${r.FocusCost}" is not a number; 0 will be used.`);
+      else if (focus < 0) add(key, 'warn', `FocusCost ${focus} is negative.`);
+      const t = num(r.TimePerCraftSeconds);
+      if (t != null && !Number.isFinite(t)) add(key, 'warn', `TimePerCraftSeconds "${r.TimePerCraftSeconds}" is not a number; 0 will be used.`);
+
+      const y = num(r.Yield);
+      if (y != null && !(Number.isFinite(y) && y > 0)) add(key, 'warn', `Invalid fixed Yield "${r.Yield}"; it will be replaced with 1.`);
+      const ymin = num(r.YieldMin), ymax = num(r.YieldMax);
+      for (const [f, v] of [['YieldMin', ymin], ['YieldMax', ymax]]) {
+        if (v != null && !(Number.isFinite(v) && v >= 0)) add(key, 'warn', `Invalid ${f} "${r[f]}"; it will be dropped.`);
+      }
+      if (Number.isFinite(ymin) && Number.isFinite(ymax) && ymin > ymax) add(key, 'warn', `YieldMin ${ymin} is greater than YieldMax ${ymax}.`);
+      if ((ymin == null) !== (ymax == null)) add(key, 'info', 'Only one of YieldMin/YieldMax given; it will be mirrored to the other.');
+
+      if (r.YieldOutcomes && typeof r.YieldOutcomes === 'object') {
+        const pairs = Object.entries(r.YieldOutcomes).map(([q, p]) => [Number(q), Number(p), q, p]);
+        const bad = pairs.filter(([q, p]) => !(Number.isFinite(q) && q >= 0 && Number.isFinite(p) && p >= 0));
+        bad.forEach(([, , q, p]) => add(key, 'warn', `Outcome ${q}: ${p} is invalid and will be dropped.`));
+        const ok = pairs.filter(p => !bad.includes(p));
+        const pct = ok.filter(([, p]) => p > 1), frac = ok.filter(([, p]) => p > 0 && p <= 1);
+        if (pct.length && frac.length) add(key, 'warn', 'YieldOutcomes mix percent values (>1) with 0–1 values; percents are divided by 100.');
+        const sum = ok.reduce((acc, [, p]) => acc + (p > 1 ? p / 100 : p), 0);
+        if (ok.length && sum <= 0) add(key, 'error', 'YieldOutcomes probabilities sum to 0; outcomes will be ignored.');
+        else if (ok.length && Math.abs(sum - 1) > 0.005) add(key, 'warn', `YieldOutcomes sum to ${Math.round(sum * 10000) / 100}%; they will be rescaled to 100%.`);
+        if (y != null || ymin != null || ymax != null) add(key, 'info', 'YieldOutcomes override the fixed/min-max yield.');
+      }
 
-    // If only one of min/max present, mirror it
-    if (nr.YieldMin !== null && nr.YieldMax === null) nr.YieldMax = nr.YieldMin;
-    if (nr.YieldMax !== null && nr.YieldMin === null) nr.YieldMin = nr.YieldMax;
+      const ings = (r.Ingredients && typeof r.Ingredients === 'object') ? r.Ingredients : {};
+      for (const [ing, q] of Object.entries(ings)) {
+        if (!(Number.isFinite(Number(q)) && Number(q) > 0)) add(key, 'warn', `Ingredient "${ing}" quantity "${q}" is not positive; it will be dropped.`);
+      }
+      if (r.IsMineable && Object.keys(ings).length) add(key, 'warn', 'Mineable recipe also lists ingredients; they are still expanded.');
+
+      const given = normalizeSkillName(r.LifeSkill);
+      if (r.LifeSkill && !given) add(key, 'warn', `Unknown LifeSkill "${r.LifeSkill}"; it will be guessed from the name.`);
+      const nr = normalizeRecipe({ ...r, Name: key });
+      if (!given) {
+        if (nr.LifeSkill) add(key, 'warn', `LifeSkill guessed as ${nr.LifeSkill}.`);
+        else add(key, 'warn', 'LifeSkill missing and could not be guessed.');
+      }
+      parsed[key] = nr;
+    }
 
-    if (r.Ingredients && typeof r.Ingredients === 'object') {
-      for (const [k, v] of Object.entries(r.Ingredients)) {
-        const qty = Number(v);
-        if (k && Number.isFinite(qty) && qty > 0) nr.Ingredients[k] = qty;
+    // Graph checks against what the store will look like after import
+    const combined = { ...context, ...parsed };
+    for (const [name, nr] of Object.entries(parsed)) {
+      for (const ing of Object.keys(nr.Ingredients)) {
+        if (!combined[ing]) add(name, 'error', `Unknown ingredient "${ing}" (no recipe defines it).`);
+      }
+      for (const alt of nr.Alternatives || []) {
+        for (const ing of Object.keys(alt.Ingredients)) {
+          if (!combined[ing]) add(name, 'error', `Route "${alt.Variant}": unknown ingredient "${ing}".`);
+        }
       }
     }
+    for (const cyc of findCycles(combined)) {
+      const inImport = cyc.filter(n => parsed[n]);
+      if (inImport.length) add(inImport[0], 'error', `Cycle: ${cyc.join(' -> ')}`);
+    }
 
-    // Assign/Infer Life Skill
-    const given = normalizeSkillName(r.LifeSkill);
-    nr.LifeSkill = given || classifyLifeSkill(nr.Name, nr.IsMineable, nr.Ingredients);
-    return nr;
+    const list = Object.entries(report).map(([name, issues]) => ({ name, issues }));
+    const countOf = lvl => list.reduce((n, x) => n + x.issues.filter(i => i.level === lvl).length, 0);
+    return {
+      total: entries.length,
+      recipes: list.sort((a, b) => a.name.localeCompare(b.name)),
+      errors: countOf('error'), warnings: countOf('warn'), infos: countOf('info')
+    };
   }
 
-  function load(json) {
-    const raw = typeof json === 'string' ? JSON.parse(json) : json;
-    const m = {};
-    let isArray = true;
-    if (Array.isArray(raw)) {
-      for (const r of raw) {
-        if (!r || !r.Name) continue;
-        const nr = normalizeRecipe(r);
-        if (nr.Name) m[nr.Name] = nr;
-      }
-    } else {
-      isArray = false;
-      for (const [name, r] of Object.entries(raw)) {
-        const nr = normalizeRecipe({ ...r, Name: r?.Name || name });
-        if (nr.Name) m[nr.Name] = nr;
+  // ----- Merge import
+  const DIFF_FIELDS = [
+    'LifeSkill', 'FocusCost', 'Yield', 'YieldMin', 'YieldMax', 'TimePerCraftSeconds',
+    'IsMineable', 'Ingredients', 'YieldOutcomes', 'YieldMinChance', 'YieldMaxChance',
+    'Variant', 'Alternatives', 'Tags'
+  ];
+  const sameValue = (a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      const ka = Object.keys(a), kb = Object.keys(b);
+      return ka.length === kb.length && ka.every(k => k in b && Math.abs(Number(a[k]) - Number(b[k])) < 1e-9);
+    }
+    if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) < 1e-9;
+    return (a ?? null) === (b ?? null);
+  };
+
+  // Compare an incoming (parsed) map against the store: added / changed (per field) / identical
+  function diff(incoming) {
+    const added = [], changed = [], identical = [];
+    for (const [name, theirs] of Object.entries(incoming)) {
+      const mine = map[name];
+      if (!mine) { added.push(name); continue; }
+      const fields = DIFF_FIELDS
+        .filter(f => !sameValue(mine[f], theirs[f]))
+        .map(f => ({ field: f, mine: mine[f], theirs: theirs[f] }));
+      if (fields.length) changed.push({ name, fields });
+      else identical.push(name);
+    }
+    const byName = (a, b) => (a.name || a).localeCompare(b.name || b);
+    return { added: added.sort(byName), changed: changed.sort(byName), identical: identical.sort(byName) };
+  }
+
+  // Apply a merge. decisions[name] is 'mine' | 'theirs' | { rename: 'New Name' } for changed recipes;
+  // added recipes are always taken, identical ones are left alone.
+  function merge(incoming, decisions = {}, label = null) {
+    const d = diff(incoming);
+    const next = { ...map };
+    let taken = 0;
+    for (const name of d.added) { next[name] = incoming[name]; taken++; }
+    for (const { name } of d.changed) {
+      const dec = decisions[name] || 'mine';
+      if (dec === 'theirs') { next[name] = incoming[name]; taken++; }
+      else if (dec && typeof dec === 'object') {
+        const newName = String(dec.rename || '').trim();
+        if (!newName) throw new Error(`Pick a new name for incoming "${name}".`);
+        if (next[newName] || incoming[newName]) throw new Error(`Cannot rename incoming "${name}": "${newName}" already exists.`);
+        next[newName] = { ...incoming[name], Name: newName };
+        taken++;
       }
     }
-    map = m; arrayFormat = isArray;
+    record(label || `Merged ${taken} recipes`);
+    map = next; source = 'import';
     onChange();
+    return taken;
   }
 
   function exportJson(pretty = true) {
@@ -229,34 +464,183 @@ function classifyLifeSkill(name, isMineable, ingredients) {
   }
 
   function allNames() { return Object.keys(map).sort((a, b) => a.localeCompare(b)); }
+  function all() { return { ...map }; }
   function get(name) { return name ? map[name] : null; }
   function upsert(recipe, oldName = null) {
     const r = normalizeRecipe(recipe);
     if (!r.Name) throw new Error('Recipe must have a Name.');
-    if (oldName && oldName !== r.Name) delete map[oldName];
+    // The Builder form edits one route at a time; keep the existing alternatives unless given
+    const prev = map[oldName || r.Name];
+    if (recipe.Alternatives === undefined && prev?.Alternatives) r.Alternatives = prev.Alternatives.map(a => ({ ...a, Name: r.Name }));
+    if (recipe.Tags === undefined && prev?.Tags) r.Tags = prev.Tags;
+    const renaming = oldName && oldName !== r.Name;
+    if (renaming && map[oldName] && map[r.Name]) {
+      throw new Error(`"${r.Name}" already exists; merge the two names instead of renaming.`);
+    }
+    if (renaming && map[oldName]) record(`Renamed ${oldName} → ${r.Name}`);
+    else record(map[r.Name] ? `Edited ${r.Name}` : `Added ${r.Name}`);
+    const existed = renaming && (!!map[r.Name] || references([r.Name]).length > 0);
+    if (renaming) delete map[oldName];
     map[r.Name] = r;
+    // A rename carries over to every recipe that uses the old name
+    if (renaming) {
+      replaceRefs([oldName], r.Name);
+      renamed([oldName], r.Name, existed ? null : oldName);
+    }
+    source = 'edited';
     onChange();
     return r.Name;
   }
-  function remove(name) { if (map[name]) { delete map[name]; onChange(); } }
-  function clear() { map = {}; onChange(); }
+
+  // ----- References between recipes
+  // Every ingredient line (any route) that uses one of `names`: [{ recipe, route, ingredient, qty }]
+  function references(names) {
+    const set = new Set(names);
+    const out = [];
+    for (const recipe of allNames()) {
+      variants(recipe).forEach((v, i) => {
+        for (const [ing, qty] of Object.entries(v.Ingredients || {})) {
+          if (set.has(ing)) out.push({ recipe, route: i ? v.Variant : null, ingredient: ing, qty });
+        }
+      });
+    }
+    return out;
+  }
+  // Points ingredient lines at `to` instead of any of `from` (quantities add up when a recipe
+  // lists several of them). Returns how many recipes changed.
+  function replaceRefs(from, to) {
+    const set = new Set(from);
+    const fix = ings => {
+      if (!Object.keys(ings || {}).some(k => set.has(k))) return null;
+      const next = {};
+      for (const [k, q] of Object.entries(ings)) {
+        const key = set.has(k) ? to : k;
+        next[key] = (next[key] || 0) + q;
+      }
+      return next;
+    };
+    let touched = 0;
+    for (const [name, rec] of Object.entries(map)) {
+      const ings = fix(rec.Ingredients);
+      const alts = rec.Alternatives?.map(a => { const x = fix(a.Ingredients); return x ? { ...a, Ingredients: x } : a; });
+      const altChanged = alts?.some((a, i) => a !== rec.Alternatives[i]);
+      if (!ings && !altChanged) continue;
+      map[name] = { ...rec, ...(ings ? { Ingredients: ings } : {}), ...(altChanged ? { Alternatives: alts } : {}) };
+      touched++;
+    }
+    return touched;
+  }
+  // Folds near-duplicate names into `keep`: ingredient references are rewritten and the other
+  // names' recipes are removed. When `keep` has no recipe yet it takes over the first one found.
+  function mergeNames(keep, names) {
+    const drop = names.filter(n => n !== keep);
+    if (!drop.length) return 0;
+    record(`Merged ${drop.join(', ')} into ${keep}`);
+    const existed = !!map[keep] || references([keep]).length > 0;
+    const first = drop.find(n => map[n]);
+    if (!map[keep] && first) {
+      const rec = map[first];
+      map[keep] = { ...rec, Name: keep, ...(rec.Alternatives ? { Alternatives: rec.Alternatives.map(a => ({ ...a, Name: keep })) } : {}) };
+    }
+    for (const n of drop) delete map[n];
+    const touched = replaceRefs(drop, keep);
+    renamed(drop, keep, existed ? null : (first || drop[0]));
+    source = 'edited';
+    onChange();
+    return touched;
+  }
+  // Add (index = null) or replace one alternative route of an existing recipe
+  function upsertVariant(name, index, recipe) {
+    const base = map[name];
+    if (!base) throw new Error(`Unknown recipe: ${name}`);
+    const alt = normalizeRecipe({ ...recipe, Name: name, Alternatives: null });
+    const alts = [...(base.Alternatives || [])];
+    if (!alt.Variant) alt.Variant = `Route ${(index ?? alts.length) + 2}`;
+    record(index == null ? `Added route "${alt.Variant}" to ${name}` : `Edited route "${alt.Variant}" of ${name}`);
+    if (index == null) alts.push(alt); else alts[index] = alt;
+    map[name] = { ...base, Alternatives: alts };
+    source = 'edited';
+    onChange();
+    return index == null ? alts.length - 1 : index;
+  }
+  function removeVariant(name, index) {
+    const base = map[name];
+    if (!base?.Alternatives?.[index]) return;
+    record(`Deleted route "${base.Alternatives[index].Variant}" of ${name}`);
+    const alts = base.Alternatives.filter((_, i) => i !== index);
+    const next = { ...base };
+    if (alts.length) next.Alternatives = alts; else delete next.Alternatives;
+    map[name] = next;
+    source = 'edited';
+    onChange();
+  }
+
+  function remove(name) {
+    if (!map[name]) return;
+    record(`Deleted ${name}`);
+    delete map[name]; source = 'edited'; onChange();
+  }
+  function clear() {
+    if (count()) record(`Cleared ${count()} recipes`);
+    map = {}; source = 'empty'; onChange();
+  }
   function count() { return Object.keys(map).length; }
 
 
 
-  return { subscribe, load, exportJson, allNames, get, upsert, remove, clear, count, normalizeRecipe };
+  return {
+    subscribe, onRename, load, exportJson, allNames, all, get, variants, upsert, upsertVariant, removeVariant, remove, clear, count, normalizeRecipe,
+    references, mergeNames,
+    restore, hasSaved, discardSaved, meta,
+    undo, redo, history, resetHistory,
+    parse, diff, merge, validate
+  };
+})();
+
+// ----------------- Graph check (re-run on every Store change) -----------------
+const GraphCheck = (() => {
+  const listeners = new Set();
+  let last = analyzeGraph({});
+  Store.subscribe(() => { last = analyzeGraph(Store.all()); listeners.forEach(fn => fn(last)); });
+  return {
+    get: () => last,
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+    // Per-recipe problems for table badges: [{ level, msg }]
+    issuesFor(name) {
+      const out = [];
+      Store.variants(name).forEach((v, i) => {
+        for (const ing of Object.keys(v.Ingredients || {})) {
+          if (last.dangling[ing]) out.push({ level: 'error', msg: `${i ? `Route "${v.Variant}": ` : ''}Unknown ingredient "${ing}"` });
+        }
+      });
+      for (const cyc of last.cycles) if (cyc.includes(name)) out.push({ level: 'error', msg: `Cycle: ${cyc.join(' -> ')}` });
+      if (!out.length && last.blocked[name]) out.push({ level: 'warn', msg: `Can't be calculated (${last.blocked[name]})` });
+      if (last.orphans.includes(name)) out.push({ level: 'info', msg: 'Orphan: no ingredients and not used by any recipe' });
+      return out;
+    }
+  };
 })();
 
-// ---- Initial recipes load from recipes.json ----
-(async function initRecipesFromFile(){
+// Replace the store with the bundled recipes.json (throws on network/JSON errors)
+async function loadBundledRecipes() {
+  const res = await fetch('recipes.json', { cache: 'no-store' });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  Store.load(await res.json(), 'bundled', 'Reset to bundled recipes.json');
+}
+
+// ---- Initial recipes load: saved copy first, bundled recipes.json otherwise ----
+// Resolves once the Store is filled (share links wait for it)
+const recipesReady = (async function initRecipesFromFile(){
+  if (Store.restore()) {
+    console.info(`Loaded ${Store.count()} saved recipes from localStorage`);
+    return;
+  }
   try {
-    const res = await fetch('recipes.json', { cache: 'no-store' });
-    if (!res.ok) { console.warn('recipes.json not found; starting with empty store.'); return; }
-    const data = await res.json();
-    Store.load(data);
+    await loadBundledRecipes();
+    Store.resetHistory(); // the startup load is not an undoable step
     console.info(`Loaded ${Store.count()} recipes from recipes.json`);
   } catch (err) {
-    console.warn('Failed to load recipes.json:', err);
+    console.warn('Failed to load recipes.json; starting with empty store.', err);
   }
 })();
 
@@ -279,18 +663,52 @@ function classifyLifeSkill(name, isMineable, ingredients) {
  * - User picks a Life Skill and then selects masteries for that skill.
  * - We store compact selections per skill (levels + time caps).
  * - Calculator applies these to EV (extra output chance / flat extras) and time caps (3s / 2s).
+ * - Which masteries exist and what they do comes from MasteryRules (below).
+ * - Several named profiles (characters, alts, a teammate's build); one is active at a time.
+ *   The single-profile `bp_profile_v2` save becomes the first profile on upgrade.
  */
 const Profile = (() => {
-  const key = 'bp_profile_v2';
+  const key = 'bp_profiles_v1';
+  const legacyKey = 'bp_profile_v2';
   const listeners = new Set();
   function onChange(){ listeners.forEach(fn => fn()); }
   function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
-  function load(){ try { return JSON.parse(localStorage.getItem(key) || '{}') || {}; } catch(e){ return {}; } }
-  function save(data){ localStorage.setItem(key, JSON.stringify(data || {})); onChange(); }
+  function read(k){ try { return JSON.parse(localStorage.getItem(k) || 'null'); } catch(e){ return null; } }
+  function save(){ localStorage.setItem(key, JSON.stringify(book)); onChange(); }
+
+  const newId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const cleanMasteries = m => (m && typeof m === 'object' && !Array.isArray(m)) ? m : {};
+
+  function load(){
+    const saved = read(key);
+    if (saved && saved.profiles && Object.keys(saved.profiles).length) {
+      for (const p of Object.values(saved.profiles)) p.masteries = cleanMasteries(p.masteries);
+      if (!saved.profiles[saved.active]) saved.active = Object.keys(saved.profiles)[0];
+      return saved;
+    }
+    const legacy = read(legacyKey) || {};
+    const id = newId();
+    return { active: id, profiles: { [id]: { name: 'Main', masteries: cleanMasteries(legacy.masteries) } } };
+  }
+
+  let book = load();
+  let state = book.profiles[book.active];
 
-  const defaultState = { masteries:{} };
-  let state = Object.assign({}, defaultState, load());
-  if (!state.masteries || typeof state.masteries !== 'object') state.masteries = {};
+  function uniqueName(name, exceptId = null){
+    const base = String(name || '').trim() || 'Profile';
+    const taken = new Set(Object.entries(book.profiles).filter(([id]) => id !== exceptId).map(([, p]) => p.name));
+    if (!taken.has(base)) return base;
+    let i = 2;
+    while (taken.has(`${base} (${i})`)) i++;
+    return `${base} (${i})`;
+  }
+  function add(name, masteries){
+    const id = newId();
+    book.profiles[id] = { name: uniqueName(name), masteries: JSON.parse(JSON.stringify(cleanMasteries(masteries))) };
+    book.active = id; state = book.profiles[id];
+    save();
+    return id;
+  }
 
   // Get/Set helpers
   function getSkillState(skill){
@@ -302,122 +720,105 @@ const Profile = (() => {
     if (!k) return;
     const cur = getSkillState(k);
     state.masteries[k] = Object.assign({}, cur, patch || {});
-    save(state);
+    save();
   }
 
   return {
     subscribe,
     _state: () => state,
-    set(v){ state = Object.assign(state, v||{}); save(state); },
-    getSkillState, setSkillState
+    set(v){ Object.assign(state, v||{}); save(); },
+    getSkillState, setSkillState,
+
+    // Named profiles: [{id, name, active}] sorted by name
+    list: () => Object.entries(book.profiles)
+      .map(([id, p]) => ({ id, name: p.name, active: id === book.active }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    // Runs fn with the active profile's masteries temporarily replaced (nothing saved or announced)
+    preview(masteries, fn){
+      const saved = state.masteries;
+      state.masteries = masteries;
+      try { return fn(); } finally { state.masteries = saved; }
+    },
+    activeId: () => book.active,
+    activeName: () => state.name,
+    switchTo(id){
+      if (!book.profiles[id] || id === book.active) return;
+      book.active = id; state = book.profiles[id];
+      save();
+    },
+    create: name => add(name, {}),
+    duplicate: (id = book.active, name) => add(name || `${book.profiles[id]?.name || 'Profile'} copy`, book.profiles[id]?.masteries),
+    rename(id, name){
+      if (!book.profiles[id] || !String(name || '').trim()) return;
+      book.profiles[id].name = uniqueName(name, id);
+      save();
+    },
+    remove(id){
+      if (!book.profiles[id]) return;
+      if (Object.keys(book.profiles).length === 1) throw new Error('Keep at least one profile.');
+      delete book.profiles[id];
+      if (book.active === id) { book.active = Object.keys(book.profiles)[0]; state = book.profiles[book.active]; }
+      save();
+    },
+    exportJson(id = book.active){
+      const p = book.profiles[id];
+      return JSON.stringify({ type: 'bp-profile', version: 1, name: p.name, masteries: p.masteries }, null, 2);
+    },
+    // Adds the shared profile as a new one (never overwrites) and switches to it
+    importJson(text){
+      const data = JSON.parse(text);
+      if (!data || typeof data !== 'object' || !data.masteries || typeof data.masteries !== 'object' || Array.isArray(data.masteries)) {
+        throw new Error('Not a profile file (expected an object with "masteries").');
+      }
+      const masteries = {};
+      for (const [skill, sel] of Object.entries(data.masteries)) {
+        if (LIFE_SKILLS.includes(skill) && sel && typeof sel === 'object') masteries[skill] = sel;
+      }
+      return add(data.name || 'Imported', masteries);
+    }
   };
 })();
 
-// UI schema for each Life Skill
-const MASTERIES_UI = {
-  Mineralogy: {
-    groups: [
-      { key:'miningYieldLevel', legend:'Mining Yielding', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Novice (+10% +1 on focus gather)'}, {v:2, label:'Pro (+20%)'}, {v:3, label:'Master (+30%)'}
-      ]},
-      { key:'timeCap', legend:'Mining Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast (3s)'}, {v:2, label:'Ultra-fast (2s)'}
-      ]}
-    ]
-  },
-  Botany: {
-    groups: [
-      { key:'sparePouchLevel', legend:'Spare Pouch', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Lv.1 (+10% +1 on focus gather)'}, {v:2, label:'Lv.2 (+20%)'}, {v:3, label:'Lv.3 (+30%)'}
-      ]},
-      { key:'timeCap', legend:'Gathering Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast (3s)'}, {v:2, label:'Ultra-fast (2s)'}
-      ]}
-    ]
-  },
-  Gemology: {
-    groups: [
-      { key:'gemYieldGatherLevel', legend:'Gem Yielding (Gather)', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Novice (+10% +1 on focus gather)'}, {v:2, label:'Pro (+20%)'}, {v:3, label:'Master (+30%)'}
-      ]},
-      { key:'timeCap', legend:'Mining Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast (3s)'}, {v:2, label:'Ultra-fast (2s)'}
-      ]}
-    ]
-  },
-  Smelting: {
-    groups: [
-      { key:'luckySmeltingLevel', legend:'Lucky Smelting (Mystery Metal/Radiant Stone/Fine Forgestone)', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Lv1 (+5% +1)'}, {v:2, label:'Lv2 (+10% +1)'}, {v:3, label:'Lv3 (+15% +1)'}
-      ]},
-      { key:'timeCap', legend:'Smithing Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast Smithing (3s)'}, {v:2, label:'Ultra-fast Smithing (2s)'}
-      ]}
-    ]
-  },
-  Artisanry: {
-    groups: [
-      { key:'artisanryLevel', legend:'Artisanry', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Lv1 (+2 on Burning Powder/Gem Wax)'}, {v:2, label:'Lv2 (+5 on Burning Powder/Gem Wax, +1 on Fast-Burning Powder)'}
-      ]},
-      { key:'timeCap', legend:'Crafting Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast Crafting (3s)'}, {v:2, label:'Ultra-fast Crafting (2s)'}
-      ]}
-    ]
-  },
-  Culinary: {
-    groups: [
-      { key:'luckyCookingLevel', legend:'Lucky Cooking', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Lv.1 (+10% +1, excl. Cheer‑Up Treat)'}, {v:2, label:'Lv.2 (+20%)'}, {v:3, label:'Lv.3 (+30%)'}
-      ]},
-      { key:'timeCap', legend:'Cooking Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast Cooking (3s)'}, {v:2, label:'Ultra-fast Cooking (2s)'}
-      ]}
-    ]
-  },
-  Alchemy: {
-    groups: [
-      { key:'alchemyRefineLevel', legend:'Alchemy Refine', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Lv.1 (+10% +1 on potions/particles)'}, {v:2, label:'Lv.2 (+20%)'}, {v:3, label:'Lv.3 (+30%)'}
-      ]},
-      { key:'sprayYieldLevel', legend:'Spray Yielding (Furniture dye sprays)', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Lv.1 (+20% +1)'}, {v:2, label:'Lv.2 (+30% +1)'}
-      ]},
-      { key:'timeCap', legend:'Alchemy Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast Alchemy (3s)'}, {v:2, label:'Ultra-fast Alchemy (2s)'}
-      ]}
-    ]
-  },
-  Gemcrafting: {
-    groups: [
-      { key:'gemYieldCraftLevel', legend:'Gem Yielding (Craft)', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Novice (+5% +1)'}, {v:2, label:'Pro (+10%)'}, {v:3, label:'Master (+15%)'}
-      ]},
-      { key:'timeCap', legend:'Processing Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast Processing (3s)'}, {v:2, label:'Ultra-fast Processing (2s)'}
-      ]}
-    ]
-  },
-  Weaving: {
-    groups: [
-      { key:'dyeYieldLevel', legend:'Dye Yielding', type:'level', choices:[
-        {v:0, label:'None'}, {v:1, label:'Lv.1 (+20% +1 on dyes)'}, {v:2, label:'Lv.2 (+30% +1)'}
-      ]},
-      { key:'timeCap', legend:'Weaving Speed', type:'time', choices:[
-        {v:0, label:'Normal'}, {v:3, label:'Fast Weaving (3s)'}, {v:2, label:'Ultra-fast Weaving (2s)'}
-      ]}
-    ]
+// ----------------- MASTERY DEFINITIONS (editable in the Profile tab) -----------------
+// Built-in definitions and the rule format: see MASTERY_DEFAULTS in engine.js.
+const MasteryRules = (() => {
+  const key = 'bp_masteries_v1';
+  const listeners = new Set();
+  function onChange(){ listeners.forEach(fn => fn()); }
+  function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
+
+  // Checks and cleans a definitions object; throws with the first problem found
+  const normalize = normalizeMasteryDefinitions;
+
+  function load(){
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? normalize(JSON.parse(raw)) : null;
+    } catch(e){ return null; }
   }
-};
+
+  const defaults = normalize(MASTERY_DEFAULTS);
+  let defs = load();
+
+  return {
+    subscribe,
+    normalize,
+    get: () => defs || defaults,
+    isCustom: () => !!defs,
+    set(next){ defs = normalize(next); localStorage.setItem(key, JSON.stringify(defs)); onChange(); },
+    reset(){ defs = null; localStorage.removeItem(key); onChange(); },
+    exportJson: () => JSON.stringify(defs || defaults, null, 2)
+  };
+})();
 
 function renderMasteriesUI(skill){
   const mount = document.querySelector('#pfMasteriesDynamic');
   if (!mount) return;
   mount.innerHTML = '';
-  const def = MASTERIES_UI[skill] || {groups:[]};
+  const list = MasteryRules.get()[skill] || [];
   const sel = Profile.getSkillState(skill);
 
-  for (const group of def.groups){
+  for (const group of list){
     const card = document.createElement('div');
     card.className = 'subcard';
     const legend = document.createElement('div');
@@ -427,7 +828,7 @@ function renderMasteriesUI(skill){
     body.className = 'subcard-body';
 
     const name = `ms_${skill}_${group.key}`;
-    for (const ch of group.choices){
+    for (const ch of group.levels){
       const id = `${name}_${ch.v}`;
       const label = document.createElement('label');
       label.className = 'radio';
@@ -438,7 +839,7 @@ function renderMasteriesUI(skill){
       input.value = String(ch.v);
       input.checked = String(sel[group.key] ?? 0) === String(ch.v);
       input.addEventListener('change', () => {
-        const patch = {}; patch[group.key] = (group.type === 'time') ? Number(input.value) : Number(input.value);
+        const patch = {}; patch[group.key] = Number(input.value);
         Profile.setSkillState(skill, patch);
       });
       const span = document.createElement('span');
@@ -452,8 +853,248 @@ function renderMasteriesUI(skill){
     card.appendChild(body);
     mount.appendChild(card);
   }
+
+  // Perks: independent toggles from PERK_LIBRARY
+  const perks = PERK_LIBRARY[skill] || [];
+  if (!perks.length) return;
+  const card = document.createElement('div');
+  card.className = 'subcard';
+  const legend = document.createElement('div');
+  legend.className = 'subcard-title';
+  legend.textContent = 'Perks';
+  const body = document.createElement('div');
+  body.className = 'subcard-body perks';
+  const chosen = new Set(sel.perks || []);
+  for (const perk of perks){
+    const label = document.createElement('label');
+    label.className = 'checkbox';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = chosen.has(perk.id);
+    input.addEventListener('change', () => {
+      const next = new Set(Profile.getSkillState(skill).perks || []);
+      if (input.checked) next.add(perk.id); else next.delete(perk.id);
+      Profile.setSkillState(skill, { perks: [...next] });
+    });
+    const span = document.createElement('span');
+    span.textContent = `${perk.label} (${perkEffectText(perk.effects)})`;
+    const desc = document.createElement('small');
+    desc.textContent = perk.desc;
+    label.appendChild(input);
+    label.appendChild(span);
+    body.appendChild(label);
+    body.appendChild(desc);
+  }
+  card.appendChild(legend);
+  card.appendChild(body);
+  mount.appendChild(card);
+}
+
+function perkEffectText(effects){
+  const sign = n => (n > 0 ? `+${n}` : `${n}`);
+  const bits = [];
+  if (effects.timePct) bits.push(`${sign(effects.timePct)}% time`);
+  if (effects.yieldPct) bits.push(`${sign(effects.yieldPct)}% yield`);
+  if (effects.plusOnePct) bits.push(`${effects.plusOnePct}% chance of +1`);
+  if (effects.doublePct) bits.push(`${effects.doublePct}% chance to double`);
+  return bits.join(', ');
 }
 
+// ----------------- INVENTORY (materials on hand) -----------------
+/**
+ * Saved material -> quantity map. When enabled, the calculator takes from it
+ * before scheduling crafts/gathers, at any level of the tree.
+ */
+const Inventory = (() => {
+  const key = 'bp_inventory_v1';
+  const listeners = new Set();
+  function onChange(){ save(); listeners.forEach(fn => fn()); }
+  function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
+  function load(){ try { return JSON.parse(localStorage.getItem(key) || '{}') || {}; } catch(e){ return {}; } }
+  function save(){ localStorage.setItem(key, JSON.stringify(state)); }
+
+  let state = Object.assign({ enabled: true, items: {} }, load());
+  if (!state.items || typeof state.items !== 'object') state.items = {};
+
+  return {
+    subscribe,
+    enabled: () => !!state.enabled,
+    setEnabled(v){ state.enabled = !!v; onChange(); },
+    // Copy of the items, or null when inventory use is switched off
+    stock: () => state.enabled ? { ...state.items } : null,
+    items: () => ({ ...state.items }),
+    setItems(items){
+      const next = {};
+      for (const [k, v] of Object.entries(items || {})) {
+        const q = Number(v);
+        if (String(k).trim() && Number.isFinite(q) && q > 0) next[String(k).trim()] = q;
+      }
+      state.items = next; onChange();
+    },
+    // A material renamed or merged into `to`: its quantities move there and add up
+    rename(from, to){
+      if (!from.some(n => n in state.items)) return;
+      for (const n of from) {
+        if (!(n in state.items)) continue;
+        state.items[to] = (state.items[to] || 0) + state.items[n];
+        delete state.items[n];
+      }
+      onChange();
+    },
+    clear(){ state.items = {}; onChange(); }
+  };
+})();
+
+// ----------------- FOCUS POOL (regeneration settings) -----------------
+/**
+ * Saved Focus pool: current amount, cap, regeneration per hour and how often a session is
+ * played. Used by the calculator's multi-day schedule.
+ */
+const FocusPool = (() => {
+  const key = 'bp_focus_pool_v1';
+  const listeners = new Set();
+  function onChange(){ save(); listeners.forEach(fn => fn()); }
+  function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
+  function load(){ try { return JSON.parse(localStorage.getItem(key) || '{}') || {}; } catch(e){ return {}; } }
+  function save(){ localStorage.setItem(key, JSON.stringify(state)); }
+
+  const amount = v => (v === '' || v == null || !Number.isFinite(Number(v)) || Number(v) < 0) ? null : Number(v);
+  let state = Object.assign({ current: null, cap: null, regenPerHour: null, everyHours: 24 }, load());
+
+  return {
+    subscribe,
+    get: () => ({ ...state }),
+    set(patch){
+      for (const k of ['current', 'cap', 'regenPerHour', 'everyHours']) if (k in patch) state[k] = amount(patch[k]);
+      onChange();
+    }
+  };
+})();
+
+// ----------------- CRAFTING SESSION (plan being executed) -----------------
+/**
+ * Saved plan being executed in game: its targets, yield mode(s), starting stock and steps,
+ * plus progress per material ({ crafts, units, variant } done and made so far).
+ * Bought materials (unlimited stock) are kept by name, as JSON has no Infinity.
+ */
+const Session = (() => {
+  const key = 'bp_session_v1';
+  const listeners = new Set();
+  function onChange(){ save(); listeners.forEach(fn => fn()); }
+  function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
+  function load(){ try { return JSON.parse(localStorage.getItem(key) || 'null'); } catch(e){ return null; } }
+  function save(){ if (state) localStorage.setItem(key, JSON.stringify(state)); else localStorage.removeItem(key); }
+
+  let state = load();
+  if (state && (!Array.isArray(state.targets) || !Array.isArray(state.steps))) state = null;
+
+  return {
+    subscribe,
+    active: () => !!state,
+    get(){
+      if (!state) return null;
+      const stock = { ...(state.stock || {}) };
+      for (const name of state.bought || []) stock[name] = Infinity;
+      return { ...state, stock, progress: { ...(state.progress || {}) } };
+    },
+    start({ targets, mode, modes, stock, steps }){
+      const finite = {}, bought = [];
+      for (const [name, q] of Object.entries(stock || {})) {
+        if (q === Infinity) bought.push(name); else if (q > 0) finite[name] = q;
+      }
+      state = { startedAt: Date.now(), targets, mode, modes: modes || null, stock: finite, bought, steps, progress: {} };
+      onChange();
+    },
+    setProgress(name, p){
+      if (!state) return;
+      const crafts = Math.max(0, Number(p.crafts) || 0);
+      const units = Math.max(0, Number(p.units) || 0);
+      if (crafts || units) state.progress[name] = { crafts, units, variant: p.variant || null };
+      else delete state.progress[name];
+      onChange();
+    },
+    // A material renamed or merged into `to`: targets, steps, stock and progress follow it
+    rename(from, to){
+      if (!state) return;
+      const set = new Set(from);
+      const name = n => set.has(n) ? to : n;
+      const sum = (obj, add) => {
+        const out = {};
+        for (const [k, v] of Object.entries(obj || {})) out[name(k)] = out[name(k)] ? add(out[name(k)], v) : v;
+        return out;
+      };
+      const targets = [];
+      for (const t of state.targets) {
+        const same = targets.find(x => x.name === name(t.name));
+        if (same) same.qty += t.qty; else targets.push({ ...t, name: name(t.name) });
+      }
+      state.targets = targets;
+      state.steps = state.steps.map(st => ({ ...st, material: name(st.material) }));
+      state.stock = sum(state.stock, (a, b) => a + b);
+      state.bought = [...new Set((state.bought || []).map(name))];
+      state.progress = sum(state.progress, (a, b) => ({ ...a, crafts: a.crafts + b.crafts, units: a.units + b.units }));
+      if (state.modes) state.modes = sum(state.modes, a => a);
+      onChange();
+    },
+    clear(){ state = null; onChange(); }
+  };
+})();
+
+// ----------------- PRICES (market buy / sell per unit) -----------------
+/**
+ * Saved material -> { buy, sell } map (either may be missing). Used by the calculator's
+ * make-vs-buy decisions and profit figures.
+ */
+const Prices = (() => {
+  const key = 'bp_prices_v1';
+  const listeners = new Set();
+  function onChange(){ save(); listeners.forEach(fn => fn()); }
+  function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
+  function load(){ try { return JSON.parse(localStorage.getItem(key) || '{}') || {}; } catch(e){ return {}; } }
+  function save(){ localStorage.setItem(key, JSON.stringify(state)); }
+
+  const price = v => (v === '' || v == null || !Number.isFinite(Number(v)) || Number(v) < 0) ? null : Number(v);
+  let state = Object.assign({ items: {}, focusValue: 0 }, load());
+  if (!state.items || typeof state.items !== 'object') state.items = {};
+
+  return {
+    subscribe,
+    // What one point of Focus is worth in coin when weighing making against buying
+    focusValue: () => state.focusValue || 0,
+    setFocusValue(v){ state.focusValue = price(v) || 0; onChange(); },
+    buy: name => state.items[name]?.buy ?? null,
+    sell: name => state.items[name]?.sell ?? null,
+    items: () => JSON.parse(JSON.stringify(state.items)),
+    setItems(items){
+      const next = {};
+      for (const [k, v] of Object.entries(items || {})) {
+        const name = String(k).trim();
+        const p = { buy: price(v?.buy), sell: price(v?.sell) };
+        if (name && (p.buy != null || p.sell != null)) next[name] = p;
+      }
+      state.items = next; onChange();
+    },
+    // A material renamed or merged into `to`: its prices move there unless `to` has its own
+    rename(from, to){
+      if (!from.some(n => n in state.items)) return;
+      for (const n of from) {
+        if (!(n in state.items)) continue;
+        const have = state.items[to] || {};
+        state.items[to] = { buy: have.buy ?? state.items[n].buy, sell: have.sell ?? state.items[n].sell };
+        delete state.items[n];
+      }
+      onChange();
+    },
+    clear(){ state.items = {}; onChange(); }
+  };
+})();
+
+Store.onRename((from, to) => {
+  Inventory.rename(from, to);
+  Prices.rename(from, to);
+  Session.rename(from, to);
+});
+
 (function profileUI(){
   const selSkill = $('#pfSkillSelect');
   const pfSkillChips = $('#pfSkillChips');
@@ -465,23 +1106,18 @@ function renderMasteriesUI(skill){
     if (!pfSkillChips) return;
     pfSkillChips.innerHTML = '';
     const all = Profile._state().masteries || {};
+    const defs = MasteryRules.get();
     for (const sk of LIFE_SKILLS){
       const s = all[sk];
       if (!s) continue;
       const bits = [];
-      if (s.timeCap) bits.push(`${s.timeCap}s cap`);
-      if (sk === 'Smelting' && s.luckySmeltingLevel) bits.push(`Lucky L${s.luckySmeltingLevel}`);
-      if (sk === 'Artisanry' && s.artisanryLevel) bits.push(`Artisanry L${s.artisanryLevel}`);
-      if (sk === 'Culinary' && s.luckyCookingLevel) bits.push(`Lucky Cook L${s.luckyCookingLevel}`);
-      if (sk === 'Alchemy'){ 
-        if (s.alchemyRefineLevel) bits.push(`Refine L${s.alchemyRefineLevel}`);
-        if (s.sprayYieldLevel) bits.push(`Spray L${s.sprayYieldLevel}`);
+      for (const m of defs[sk] || []){
+        const lvl = Number(s[m.key] || 0);
+        if (!lvl) continue;
+        if (m.rules.some(r => r.effect === 'timeCap')) bits.push(`${lvl}s cap`);
+        else bits.push(`${m.short || m.legend} L${lvl}`);
       }
-      if (sk === 'Gemcrafting' && s.gemYieldCraftLevel) bits.push(`Gem Yield L${s.gemYieldCraftLevel}`);
-      if (sk === 'Weaving' && s.dyeYieldLevel) bits.push(`Dye Yield L${s.dyeYieldLevel}`);
-      if (sk === 'Mineralogy' && s.miningYieldLevel) bits.push(`Yield L${s.miningYieldLevel}`);
-      if (sk === 'Botany' && s.sparePouchLevel) bits.push(`Pouch L${s.sparePouchLevel}`);
-      if (sk === 'Gemology' && s.gemYieldGatherLevel) bits.push(`Yield L${s.gemYieldGatherLevel}`);
+      for (const perk of PERK_LIBRARY[sk] || []) if ((s.perks || []).includes(perk.id)) bits.push(perk.label);
 
       if (bits.length) pfSkillChips.appendChild(chip(`${sk} — ${bits.join(', ')}`));
     }
@@ -489,20 +1125,125 @@ function renderMasteriesUI(skill){
 
   function onSkillChange(){ renderMasteriesUI(selSkill.value || 'Smelting'); }
 
+  // Mastery definitions editor (JSON)
+  const mrJson = $('#mrJson');
+  const mrStatus = $('#mrStatus');
+  const mrFile = $('#mrFile');
+  function setMrStatus(text, cls){ if (mrStatus){ mrStatus.textContent = text; mrStatus.className = `pill ${cls}`; } }
+  function renderDefinitions(){
+    if (mrJson) mrJson.value = MasteryRules.exportJson();
+    setMrStatus(MasteryRules.isCustom() ? 'Custom definitions' : 'Built-in definitions', 'ok');
+  }
+  function applyDefinitions(text){
+    try { MasteryRules.set(JSON.parse(text)); }
+    catch(e){ setMrStatus(`Not applied: ${e.message}`, 'err'); }
+  }
+
+  // Named profiles
+  const pfProfileSelect = $('#pfProfileSelect');
+  const pfProfileFile = $('#pfProfileFile');
+  function renderProfiles(){
+    if (!pfProfileSelect) return;
+    pfProfileSelect.innerHTML = '';
+    for (const p of Profile.list()){
+      const opt = document.createElement('option');
+      opt.value = p.id; opt.textContent = p.name; opt.selected = p.active;
+      pfProfileSelect.appendChild(opt);
+    }
+  }
+  function profileAction(fn){
+    try { fn(); }
+    catch(e){ if (pfStatus){ pfStatus.textContent = e.message; pfStatus.className = 'pill err'; } }
+  }
+
+  pfProfileSelect?.addEventListener('change', () => Profile.switchTo(pfProfileSelect.value));
+  $('#btnPfNew')?.addEventListener('click', () => {
+    const name = prompt('Name for the new profile:', 'New profile');
+    if (name != null) Profile.create(name);
+  });
+  $('#btnPfDuplicate')?.addEventListener('click', () => {
+    const name = prompt('Name for the copy:', `${Profile.activeName()} copy`);
+    if (name != null) Profile.duplicate(Profile.activeId(), name);
+  });
+  $('#btnPfRename')?.addEventListener('click', () => {
+    const name = prompt('Rename profile:', Profile.activeName());
+    if (name != null) Profile.rename(Profile.activeId(), name);
+  });
+  $('#btnPfDelete')?.addEventListener('click', () => profileAction(() => {
+    if (confirm(`Delete profile "${Profile.activeName()}"?`)) Profile.remove(Profile.activeId());
+  }));
+  $('#btnPfExport')?.addEventListener('click', () => {
+    const safeName = Profile.activeName().replace(/[^a-z0-9_-]+/gi, '_');
+    download(`profile_${safeName}.json`, Profile.exportJson());
+  });
+  pfProfileFile?.addEventListener('change', async () => {
+    const f = pfProfileFile.files?.[0];
+    if (!f) return;
+    const text = await f.text();
+    pfProfileFile.value = '';
+    profileAction(() => Profile.importJson(text));
+  });
+
   ['change','input'].forEach(ev => selSkill?.addEventListener(ev, onSkillChange));
-  Profile.subscribe(() => { renderMasteriesUI(selSkill.value || 'Smelting'); renderSkillChips(); if (pfStatus){ pfStatus.textContent='Saved'; pfStatus.className='pill ok'; } });
+  Profile.subscribe(() => { renderProfiles(); renderMasteriesUI(selSkill.value || 'Smelting'); renderSkillChips(); if (pfStatus){ pfStatus.textContent='Saved'; pfStatus.className='pill ok'; } });
+  MasteryRules.subscribe(() => { onSkillChange(); renderSkillChips(); renderDefinitions(); });
+
+  $('#btnMrApply')?.addEventListener('click', () => applyDefinitions(mrJson.value));
+  $('#btnMrExport')?.addEventListener('click', () => download('masteries.json', MasteryRules.exportJson()));
+  $('#btnMrReset')?.addEventListener('click', () => {
+    if (confirm('Replace your mastery definitions with the built-in ones?')) MasteryRules.reset();
+  });
+  mrFile?.addEventListener('change', async () => {
+    const f = mrFile.files?.[0];
+    if (!f) return;
+    applyDefinitions(await f.text());
+    mrFile.value = '';
+  });
+
+  const pfEffectOrder = $('#pfEffectOrder');
+  if (pfEffectOrder){
+    pfEffectOrder.innerHTML = '';
+    for (const [title, steps] of [['Yield per craft', EFFECT_ORDER.yield], ['Time per craft', EFFECT_ORDER.time]]){
+      const box = document.createElement('div');
+      const h = document.createElement('strong');
+      h.textContent = title;
+      const ol = document.createElement('ol');
+      for (const step of steps){ const li = document.createElement('li'); li.textContent = step; ol.appendChild(li); }
+      box.appendChild(h);
+      box.appendChild(ol);
+      pfEffectOrder.appendChild(box);
+    }
+  }
 
   // init
+  renderProfiles();
   onSkillChange();
   renderSkillChips();
+  renderDefinitions();
 })();// ----------------- BUILDER MODULE -----------------
 (() => {
   const tblBody = $('#recipesTable tbody');
   const searchBox = $('#searchBox');
   const skillFilter = $('#skillFilter');
   const storeStatus = $('#storeStatus');
+  const storeSource = $('#storeSource');
+  const btnUndo = $('#btnUndo');
+  const btnRedo = $('#btnRedo');
+  const historyList = $('#historyList');
+  const graphSummary = $('#graphSummary');
+  const graphStatus = $('#graphStatus');
+  const depGraphBox = $('#depGraphBox');
+  const depGraph = $('#depGraph');
+  const depScope = $('#depScope');
+  const depLegend = $('#depLegend');
+  const dupStatus = $('#dupStatus');
+  const dupList = $('#dupList');
 
   const rName = $('#rName');
+  const rVariant = $('#rVariant');
+  const rVariantSelect = $('#rVariantSelect');
+  const btnAddVariant = $('#btnAddVariant');
+  const btnDeleteVariant = $('#btnDeleteVariant');
   const rMine = $('#rMine');
   const rFocus = $('#rFocus');
   const rTime = $('#rTime');
@@ -538,6 +1279,19 @@ function renderMasteriesUI(skill){
   const fileRecipes = $('#fileRecipes');
   const jsonText = $('#jsonText');
   const importStatus = $('#importStatus');
+  const importMode = $('#importMode');
+  const mergeBox = $('#mergeBox');
+  const mergeSummary = $('#mergeSummary');
+  const mergeTableBody = $('#mergeTable tbody');
+  const btnApplyMerge = $('#btnApplyMerge');
+  const btnCancelMerge = $('#btnCancelMerge');
+  const validateBox = $('#validateBox');
+  const validateSummary = $('#validateSummary');
+  const validateList = $('#validateList');
+  const btnImportAccept = $('#btnImportAccept');
+  const btnImportSkipErrors = $('#btnImportSkipErrors');
+  const btnImportFix = $('#btnImportFix');
+  const btnImportReject = $('#btnImportReject');
 
   // Min/Max % fields may or may not exist depending on your HTML — guard them
   const rYminP = $('#rYminP') || null;
@@ -563,6 +1317,7 @@ function renderMasteriesUI(skill){
   const btnClearOutcomes = $('#btnClearOutcomes');
 
   let selected = null; // selected recipe name
+  let selectedVariant = 0; // 0 = primary recipe, n = Alternatives[n - 1]
   let formDirty = false;
   let sortMode = 'AZ'; // or 'SKILL'
 
@@ -630,7 +1385,8 @@ function renderList() {
     const r = Store.get(name);
     const tr = document.createElement('tr');
     if (name === selected) tr.classList.add('selected');
-    const tag = r.IsMineable ? 'mine' : (Object.keys(r.Ingredients).length ? 'craft' : 'solo');
+    const tag = (r.IsMineable ? 'mine' : (Object.keys(r.Ingredients).length ? 'craft' : 'solo'))
+      + (r.Alternatives?.length ? ` +${r.Alternatives.length} route${r.Alternatives.length > 1 ? 's' : ''}` : '');
 
     const yieldFixedCell = (r.Yield == null) ? '—' : fmt2(r.Yield);
     const yieldRangeCell = (r.YieldMin == null && r.YieldMax == null) ? '—' : `${r.YieldMin ?? '—'} / ${r.YieldMax ?? '—'}`;
@@ -642,71 +1398,398 @@ function renderList() {
       outCell = pairs.join(', ');
     }
 
+    const issues = GraphCheck.issuesFor(name);
+    const worst = issues.find(i => i.level === 'error') ? 'err' : (issues.find(i => i.level === 'warn') ? 'warn' : (issues.length ? 'muted' : ''));
+    const badge = !issues.length ? '•' : (worst === 'err' ? '✖' : (worst === 'warn' ? '⚠' : '○'));
+    const depth = GraphCheck.get().depth[name];
+
     tr.innerHTML = `
-      <td>•</td>
-      <td>${name}</td>
-      <td>${r.LifeSkill || '—'}</td>
+      <td class="${worst}" title="${escapeHtml(issues.map(i => i.msg).join('\n'))}">${badge}</td>
+      <td>${escapeHtml(name)}</td>
+      <td>${escapeHtml(r.LifeSkill || '—')}</td>
       <td class="num">${yieldFixedCell}</td>
       <td class="num">${yieldRangeCell}</td>
       <td>${outCell}</td>
       <td class="num">${fmt2(r.FocusCost)}</td>
       <td class="num">${Math.round(r.TimePerCraftSeconds || 0)}</td>
       <td>${tag}</td>
+      <td class="num">${depth == null ? '—' : depth}</td>
     `;
     tr.addEventListener('click', () => { select(name); });
     tblBody.appendChild(tr);
   }
   storeStatus.textContent = `${Store.count()} recipes`;
+  renderSource();
 }
-function select(name) {
-    selected = name;
-    renderList();
-    loadForm(Store.get(name));
+function renderSource() {
+  if (!storeSource) return;
+  const m = Store.meta();
+  const label = {
+    saved: 'My saved recipes', bundled: 'Bundled recipes.json', import: 'Imported recipes',
+    edited: 'My saved recipes (edited)', empty: 'Empty store'
+  }[m.source] || m.source;
+  const when = m.savedAt ? ` · saved ${new Date(m.savedAt).toLocaleString()}` : '';
+  storeSource.textContent = label + when;
+  storeSource.title = `Saved in this browser (schema v${m.schema}); “Reset to bundled” discards it.`;
+}
+function renderGraphCheck() {
+  if (!graphSummary) return;
+  const g = GraphCheck.get();
+  const danglingNames = Object.keys(g.dangling).sort((a, b) => a.localeCompare(b));
+  const blockedNames = Object.keys(g.blocked).sort((a, b) => a.localeCompare(b));
+  const depths = Object.values(g.depth).filter(d => d != null);
+  const ok = !danglingNames.length && !g.cycles.length;
+  if (graphStatus) {
+    graphStatus.textContent = ok ? 'No problems' : `${danglingNames.length + g.cycles.length} problems`;
+    graphStatus.className = ok ? 'pill ok' : 'pill err';
   }
 
-  function newRecipe() {
-    selected = null;
-    loadForm({ Name: '', FocusCost: 0, Yield: 1, YieldMin: null, YieldMax: null, TimePerCraftSeconds: 0, IsMineable: false, Ingredients: {} });
-    renderList();
-    rName.focus();
+  const link = n => `<a href="#" class="recipe-link" data-name="${escapeHtml(n)}">${escapeHtml(n)}</a>`;
+  const section = (title, items, cls = '') => `
+    <div class="graph-sec"><div class="${cls}"><b>${title}</b> (${items.length})</div>
+    ${items.length ? `<ul>${items.map(x => `<li>${x}</li>`).join('')}</ul>` : '<div class="muted">None</div>'}</div>`;
+
+  graphSummary.innerHTML = [
+    section('Missing ingredients', danglingNames.map(ing => `${escapeHtml(ing)} <span class="muted">← used by</span> ${g.dangling[ing].map(link).join(', ')}`), danglingNames.length ? 'err' : ''),
+    section('Cycles', g.cycles.map(c => c.map(link).join(' → ')), g.cycles.length ? 'err' : ''),
+    section('Can\'t be calculated', blockedNames.map(n => `${link(n)} <span class="muted">(${escapeHtml(g.blocked[n])})</span>`), blockedNames.length ? 'warn' : ''),
+    section('Orphans (unused, no ingredients)', g.orphans.map(link)),
+    section('End products', g.roots.map(n => `${link(n)} <span class="muted">depth ${g.depth[n] ?? '—'}</span>`)),
+    `<div class="muted">Max depth: ${depths.length ? Math.max(...depths) : '—'}</div>`
+  ].join('');
+}
+
+// ----- Dependency graph: the whole store, or the selected recipe with everything it needs
+// and everything that uses it. Columns run from raw materials (left) to end products.
+const SKILL_COLORS = {
+  Smelting: '#ff8a65', Culinary: '#ffd54f', Gemcrafting: '#f06292', Weaving: '#ba68c8', Artisanry: '#bcaaa4',
+  Alchemy: '#4dd0e1', Mineralogy: '#90a4ae', Botany: '#81c784', Gemology: '#7986cb'
+};
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DEP = { nodeW: 180, nodeH: 30, colGap: 90, rowGap: 14, pad: 20 };
+let depView = null; // viewBox {x, y, w, h}
+let depExtent = null; // size of the drawn graph, for Fit
+
+// Edges into every recipe: [{ from, to, qty, alt }] over all of its routes
+function depEdges(names) {
+  const edges = [];
+  for (const name of names) {
+    Store.variants(name).forEach((v, i) => {
+      for (const [ing, qty] of Object.entries(v.Ingredients || {})) edges.push({ from: ing, to: name, qty, alt: i > 0 });
+    });
   }
+  return edges;
+}
 
-  
-  function duplicateSelected() {
-    const base = Store.get(selected);
-    if (!base) return;
-    const copy = JSON.parse(JSON.stringify(base));
-    copy.Name = uniqueName(base.Name + ' Copy');
-    // Save copy as a new record without touching the original
-    const newName = Store.upsert(copy);
-    selected = newName;
-    renderList();
-    loadForm(Store.get(newName));
+function depGraphNames() {
+  const all = Store.all();
+  // Missing ingredients are drawn too (red dashed), so broken links are visible
+  if (depScope?.value === 'all') return new Set([...Object.keys(all), ...Object.keys(GraphCheck.get().dangling)]);
+  if (!selected || !all[selected]) return new Set();
+  const out = new Set([selected]);
+  const up = [selected];
+  while (up.length) {
+    for (const e of depEdges([up.pop()])) if (!out.has(e.from)) { out.add(e.from); if (all[e.from]) up.push(e.from); }
   }
+  const usedBy = GraphCheck.get().usedBy;
+  const down = [selected];
+  const seen = new Set(down);
+  while (down.length) {
+    for (const c of usedBy[down.pop()] || []) if (!seen.has(c)) { seen.add(c); out.add(c); down.push(c); }
+  }
+  return out;
+}
 
-  function uniqueName(base) {
-    let n = base, i = 2;
-    while (Store.get(n)) n = `${base} ${i++}`;
-    return n;
+function svgEl(tag, attrs = {}, text = null) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  if (text != null) el.textContent = text;
+  return el;
+}
+function setDepView(view) {
+  depView = view;
+  if (view) depGraph.setAttribute('viewBox', `${view.x} ${view.y} ${view.w} ${view.h}`);
+}
+// Whole graph in view, keeping the element's aspect ratio so zoom/pan map 1:1 to the pointer
+function fitDepGraph() {
+  if (!depExtent) return;
+  const r = depGraph.getBoundingClientRect();
+  let w = depExtent.w, h = depExtent.h;
+  if (r.width && r.height) {
+    if (w / h > r.width / r.height) h = w * r.height / r.width;
+    else w = h * r.width / r.height;
   }
+  setDepView({ x: 0, y: 0, w, h });
+}
+function zoomDepGraph(factor, cx = null, cy = null) {
+  if (!depView) return;
+  const x = cx ?? depView.x + depView.w / 2;
+  const y = cy ?? depView.y + depView.h / 2;
+  setDepView({ x: x - (x - depView.x) * factor, y: y - (y - depView.y) * factor, w: depView.w * factor, h: depView.h * factor });
+}
 
-  // ----- Outcomes helpers
-  function outcomeRows() {
-    return Array.from(outTableBody.querySelectorAll('tr')).map(tr => ({
-      tr, qty: tr.querySelector('.out-qty'), prob: tr.querySelector('.out-prob')
-    })).filter(r => r.qty && r.prob);
+function renderDepGraph() {
+  if (!depGraph || !depGraphBox?.open) return;
+  depGraph.innerHTML = '';
+  const names = depGraphNames();
+  const all = Store.all();
+  const edges = depEdges([...names].filter(n => all[n])).filter(e => names.has(e.from));
+  if (!names.size) {
+    depGraph.appendChild(svgEl('text', { x: DEP.pad, y: 30, class: 'dep-qty' }, depScope?.value === 'all' ? 'No recipes yet.' : 'Select a recipe to see its graph.'));
+    depExtent = { w: 400, h: 60 }; fitDepGraph();
+    return;
   }
-  function addOutcomeRow(qty = '', prob = '') {
-    const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td class="num"><input class="out-qty"  type="number" min="0" step="0.01" value="${qty}"/></td>
-      <td class="num"><input class="out-prob" type="number" min="0" step="0.01" value="${prob}"/></td>
-      <td><button class="btn small ghost removeOut">✕</button></td>`;
-    tr.querySelector('.removeOut').addEventListener('click', () => { tr.remove(); formDirty = true; });
-    ['input', 'change'].forEach(ev => tr.addEventListener(ev, () => formDirty = true));
-    outTableBody.appendChild(tr);
+
+  // Column = longest ingredient chain below the recipe (cycles are cut where they close)
+  const into = {};
+  for (const e of edges) (into[e.to] = into[e.to] || []).push(e);
+  const col = {};
+  const onPath = new Set();
+  function colOf(n) {
+    if (n in col) return col[n];
+    if (onPath.has(n)) return 0;
+    onPath.add(n);
+    let c = 0;
+    for (const e of into[n] || []) c = Math.max(c, colOf(e.from) + 1);
+    onPath.delete(n);
+    return (col[n] = c);
   }
-  function renderOutcomes(obj) {
+  names.forEach(colOf);
+
+  // Rows: alphabetical in the first column, then next to the ingredients they use
+  const columns = [];
+  for (const n of names) (columns[col[n]] = columns[col[n]] || []).push(n);
+  const row = {};
+  columns.forEach((list, c) => {
+    const key = n => {
+      const ins = (into[n] || []).filter(e => col[e.from] < c).map(e => row[e.from]);
+      return ins.length ? ins.reduce((a, b) => a + b, 0) / ins.length : Infinity;
+    };
+    list.sort((a, b) => (c ? key(a) - key(b) : 0) || a.localeCompare(b));
+    list.forEach((n, i) => { row[n] = i; });
+  });
+  const pos = n => ({ x: DEP.pad + col[n] * (DEP.nodeW + DEP.colGap), y: DEP.pad + row[n] * (DEP.nodeH + DEP.rowGap) });
+
+  const defs = svgEl('defs');
+  const marker = svgEl('marker', { id: 'depArrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 7, markerHeight: 7, orient: 'auto-start-reverse' });
+  marker.appendChild(svgEl('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: '#4a5290' }));
+  defs.appendChild(marker);
+  depGraph.appendChild(defs);
+
+  for (const e of edges) {
+    const a = pos(e.from), b = pos(e.to);
+    const x1 = a.x + DEP.nodeW, y1 = a.y + DEP.nodeH / 2, x2 = b.x, y2 = b.y + DEP.nodeH / 2;
+    const dx = Math.max(40, (x2 - x1) / 2);
+    depGraph.appendChild(svgEl('path', {
+      class: 'dep-edge' + (e.alt ? ' alt' : ''),
+      d: `M ${x1} ${y1} C ${x1 + dx} ${y1}, ${x2 - dx} ${y2}, ${x2} ${y2}`,
+      'marker-end': 'url(#depArrow)'
+    }));
+    depGraph.appendChild(svgEl('text', { class: 'dep-qty', x: (x1 + x2) / 2, y: (y1 + y2) / 2 - 3, 'text-anchor': 'middle' }, `×${e.qty}`));
+  }
+
+  for (const n of names) {
+    const rec = all[n];
+    const { x, y } = pos(n);
+    const color = SKILL_COLORS[rec?.LifeSkill] || '#8b90aa';
+    const g = svgEl('g', { class: 'dep-node' + (n === selected ? ' selected' : '') + (rec ? '' : ' missing'), transform: `translate(${x},${y})` });
+    g.dataset.name = n;
+    g.appendChild(svgEl('title', {}, rec ? `${n}\n${rec.LifeSkill || 'No Life Skill'} · ${rec.FocusCost || 0} Focus` : `${n}\nMissing: no recipe defines it`));
+    g.appendChild(svgEl('rect', { width: DEP.nodeW, height: DEP.nodeH, rx: 8, fill: color, stroke: color }));
+    g.appendChild(svgEl('text', { x: 10, y: DEP.nodeH / 2 + 4 }, n.length > 24 ? n.slice(0, 23) + '…' : n));
+    depGraph.appendChild(g);
+  }
+
+  const rows = Math.max(...columns.map(l => l.length));
+  depExtent = {
+    w: 2 * DEP.pad + columns.length * DEP.nodeW + (columns.length - 1) * DEP.colGap,
+    h: 2 * DEP.pad + rows * DEP.nodeH + (rows - 1) * DEP.rowGap
+  };
+  fitDepGraph();
+
+  if (depLegend) {
+    const skills = [...new Set([...names].map(n => all[n]?.LifeSkill).filter(Boolean))].sort();
+    depLegend.innerHTML = skills.map(sk => `<span class="chip"><span class="dep-swatch" style="background:${SKILL_COLORS[sk]}"></span>${escapeHtml(sk)}</span>`).join('');
+  }
+}
+
+// ----- Renames and duplicate names
+// Confirmation text listing the recipes whose ingredients will be rewritten
+function refsPreview(refs, limit = 12) {
+  const lines = refs.map(r => `• ${r.recipe}${r.route ? ` [${r.route}]` : ''}: ${r.ingredient} ×${r.qty}`);
+  const more = lines.length > limit ? `\n…and ${lines.length - limit} more` : '';
+  return `These ingredient lines will be updated:\n${lines.slice(0, limit).join('\n')}${more}`;
+}
+
+function renderDuplicates() {
+  if (!dupList) return;
+  const names = new Set(Store.allNames());
+  const usedBy = GraphCheck.get().usedBy;
+  for (const n of Object.keys(usedBy)) names.add(n);
+  const groups = findNearDuplicates([...names]);
+  if (dupStatus) {
+    dupStatus.textContent = groups.length ? `${groups.length} found` : 'None';
+    dupStatus.className = groups.length ? 'pill warn' : 'pill ok';
+  }
+  dupList.innerHTML = groups.length ? '' : '<div class="muted">No near-duplicate names.</div>';
+  const uses = n => (usedBy[n] || []).length;
+  groups.forEach((group, gi) => {
+    // Keep the name with a recipe that is used the most by default
+    const keep = [...group].sort((a, b) => (!!Store.get(b) - !!Store.get(a)) || (uses(b) - uses(a)) || a.localeCompare(b))[0];
+    const box = document.createElement('div');
+    box.className = 'subcard';
+    box.style.margin = '8px 0';
+    box.innerHTML = group.map(n => `
+      <label class="radio" style="display:flex;gap:8px;align-items:center">
+        <input type="radio" name="dup-${gi}" value="${escapeHtml(n)}"${n === keep ? ' checked' : ''}>
+        <span>${escapeHtml(n)}</span>
+        <small class="muted">${Store.get(n) ? 'recipe' : 'ingredient only'} · used by ${uses(n)}</small>
+      </label>`).join('');
+    const btn = document.createElement('button');
+    btn.className = 'btn small';
+    btn.textContent = 'Merge into the checked name';
+    btn.addEventListener('click', () => {
+      const target = box.querySelector('input[type="radio"]:checked')?.value;
+      if (!target) return;
+      const others = group.filter(n => n !== target);
+      const refs = Store.references(others);
+      const removed = others.filter(n => Store.get(n));
+      const parts = [`Merge ${others.map(n => `"${n}"`).join(', ')} into "${target}"?`];
+      if (refs.length) parts.push(refsPreview(refs));
+      const moved = Store.get(target) ? null : removed[0];
+      if (moved) parts.push(`"${moved}" is renamed to "${target}".`);
+      const gone = removed.filter(n => n !== moved);
+      if (gone.length) parts.push(`Recipes removed: ${gone.join(', ')}`);
+      if (!confirm(parts.join('\n\n'))) return;
+      Store.mergeNames(target, group);
+      if (others.includes(selected)) select(target);
+    });
+    box.appendChild(btn);
+    dupList.appendChild(box);
+  });
+}
+
+function renderHistory() {
+  const h = Store.history();
+  if (btnUndo) { btnUndo.disabled = !h.done.length; btnUndo.title = h.done.length ? `Undo: ${h.done[h.done.length - 1].label}` : 'Nothing to undo'; }
+  if (btnRedo) { btnRedo.disabled = !h.undone.length; btnRedo.title = h.undone.length ? `Redo: ${h.undone[0].label}` : 'Nothing to redo'; }
+  if (!historyList) return;
+  historyList.innerHTML = '';
+  const time = at => new Date(at).toLocaleTimeString();
+  // Click a step to undo/redo up to it
+  h.done.forEach((st, i) => {
+    const li = document.createElement('li');
+    li.textContent = `${st.label} · ${time(st.at)}`;
+    li.title = 'Undo back to before this step';
+    li.addEventListener('click', () => undo(h.done.length - i));
+    historyList.appendChild(li);
+  });
+  h.undone.forEach((st, i) => {
+    const li = document.createElement('li');
+    li.className = 'undone';
+    li.textContent = `${st.label} · ${time(st.at)}`;
+    li.title = 'Redo up to this step';
+    li.addEventListener('click', () => redo(i + 1));
+    historyList.appendChild(li);
+  });
+  if (!h.done.length && !h.undone.length) historyList.innerHTML = '<li class="muted">No changes yet.</li>';
+}
+
+// After undo/redo the selected recipe may have changed or vanished
+function syncSelectionAfterHistory() {
+  if (selected && !Store.get(selected)) { newRecipe(); return; }
+  if (selectedVariant >= Store.variants(selected).length) selectedVariant = 0;
+  if (selected) loadForm(currentRecord());
+}
+
+// ----- Alternative routes of the selected recipe
+function currentRecord() {
+  return selectedVariant ? Store.variants(selected)[selectedVariant] : Store.get(selected);
+}
+function renderVariantSelect() {
+  if (!rVariantSelect) return;
+  const vs = selected ? Store.variants(selected) : [];
+  rVariantSelect.innerHTML = vs.map((v, i) => `<option value="${i}">${escapeHtml(i ? v.Variant : (v.Variant || 'Default'))}${i ? '' : ' (primary)'}</option>`).join('');
+  rVariantSelect.value = String(selectedVariant);
+  rVariantSelect.disabled = vs.length < 2;
+  if (btnAddVariant) btnAddVariant.disabled = !selected;
+  if (btnDeleteVariant) btnDeleteVariant.disabled = !selectedVariant;
+  // A route always belongs to its material; rename from the primary recipe
+  rName.disabled = !!selectedVariant;
+}
+function selectVariant(i) {
+  selectedVariant = i;
+  loadForm(currentRecord());
+}
+function addVariant() {
+  const base = Store.get(selected);
+  if (!base) return;
+  const i = Store.upsertVariant(selected, null, {
+    Variant: `Route ${Store.variants(selected).length + 1}`, LifeSkill: base.LifeSkill,
+    FocusCost: 0, Yield: 1, TimePerCraftSeconds: 0, IsMineable: base.IsMineable, Ingredients: {}
+  });
+  selectVariant(i + 1);
+}
+function deleteVariant() {
+  if (!selectedVariant) return;
+  Store.removeVariant(selected, selectedVariant - 1);
+  selectVariant(0);
+}
+function undo(steps = 1) { if (Store.undo(steps) != null) syncSelectionAfterHistory(); }
+function redo(steps = 1) { if (Store.redo(steps) != null) syncSelectionAfterHistory(); }
+function select(name) {
+    selected = name;
+    selectedVariant = 0;
+    renderList();
+    loadForm(Store.get(name));
+    if (depScope?.value !== 'all') renderDepGraph();
+  }
+
+  function newRecipe() {
+    selected = null;
+    selectedVariant = 0;
+    loadForm({ Name: '', FocusCost: 0, Yield: 1, YieldMin: null, YieldMax: null, TimePerCraftSeconds: 0, IsMineable: false, Ingredients: {} });
+    renderList();
+    rName.focus();
+  }
+
+  
+  function duplicateSelected() {
+    const base = Store.get(selected);
+    if (!base) return;
+    const copy = JSON.parse(JSON.stringify(base));
+    copy.Name = uniqueName(base.Name + ' Copy');
+    // Save copy as a new record without touching the original
+    const newName = Store.upsert(copy);
+    selected = newName;
+    selectedVariant = 0;
+    renderList();
+    loadForm(Store.get(newName));
+  }
+
+  function uniqueName(base) {
+    let n = base, i = 2;
+    while (Store.get(n)) n = `${base} ${i++}`;
+    return n;
+  }
+
+  // ----- Outcomes helpers
+  function outcomeRows() {
+    return Array.from(outTableBody.querySelectorAll('tr')).map(tr => ({
+      tr, qty: tr.querySelector('.out-qty'), prob: tr.querySelector('.out-prob')
+    })).filter(r => r.qty && r.prob);
+  }
+  function addOutcomeRow(qty = '', prob = '') {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="num"><input class="out-qty"  type="number" min="0" step="0.01" value="${qty}"/></td>
+      <td class="num"><input class="out-prob" type="number" min="0" step="0.01" value="${prob}"/></td>
+      <td><button class="btn small ghost removeOut">✕</button></td>`;
+    tr.querySelector('.removeOut').addEventListener('click', () => { tr.remove(); formDirty = true; });
+    ['input', 'change'].forEach(ev => tr.addEventListener(ev, () => formDirty = true));
+    outTableBody.appendChild(tr);
+  }
+  function renderOutcomes(obj) {
     outTableBody.innerHTML = '';
     if (obj && typeof obj === 'object' && Object.keys(obj).length) {
       for (const [q, p] of Object.entries(obj)) {
@@ -728,10 +1811,10 @@ function select(name) {
     const tr = document.createElement('tr');
     tr.innerHTML = `
       <td>
-        <input class="ing-name" list="allNames" type="text" placeholder="Ingredient name" value="${name}"/>
-        <datalist id="allNames">${Store.allNames().map(n => `<option value="${n}">`).join('')}</datalist>
+        <input class="ing-name" list="allNames" type="text" placeholder="Ingredient name" value="${escapeHtml(name)}"/>
+        <datalist id="allNames">${Store.allNames().map(n => `<option value="${escapeHtml(n)}">`).join('')}</datalist>
       </td>
-      <td class="num"><input class="ing-qty" type="number" min="0" step="0.01" value="${qty}"/></td>
+      <td class="num"><input class="ing-qty" type="number" min="0" step="0.01" value="${escapeHtml(qty)}"/></td>
       <td><button class="btn small ghost remove">✕</button></td>
     `;
     tr.querySelector('.remove').addEventListener('click', () => { tr.remove(); formDirty = true; });
@@ -779,8 +1862,10 @@ function select(name) {
   // ----- Form load/save
   function loadForm(r) {
     formDirty = false;
-    $('#editTitle').textContent = r?.Name ? `Edit: ${r.Name}` : 'New Recipe';
+    $('#editTitle').textContent = r?.Name ? `Edit: ${r.Name}${selectedVariant ? ` — route “${r.Variant}”` : ''}` : 'New Recipe';
     rName.value = r?.Name || '';
+    if (rVariant) rVariant.value = r?.Variant || '';
+    renderVariantSelect();
     rMine.checked = !!r?.IsMineable;
     if (rLifeSkill) rLifeSkill.value = r?.LifeSkill || '';
     rFocus.value = r?.FocusCost ?? 0;
@@ -827,6 +1912,7 @@ function select(name) {
 
     const rec = {
       Name: rName.value.trim(),
+      Variant: (rVariant?.value || '').trim() || null,
       IsMineable: !!rMine.checked,
       FocusCost: nz(rFocus.value, 0),
       TimePerCraftSeconds: nz(rTime.value, 0),
@@ -876,7 +1962,40 @@ function select(name) {
 
   function save() {
     const rec = readForm();
+    if (selectedVariant) {
+      Store.upsertVariant(selected, selectedVariant - 1, rec);
+      loadForm(currentRecord());
+      return;
+    }
     const old = selected;
+    const name = String(rec.Name || '').trim();
+    const taken = name && name !== old && Store.get(name);
+    if (old && taken) {
+      // Renaming onto another recipe would drop it: offer a merge instead, which keeps that recipe
+      if (Store.variants(name).some(v => old in (v.Ingredients || {}))) {
+        rName.setCustomValidity(`"${name}" already exists and uses "${old}", so the two cannot be merged.`);
+        rName.reportValidity();
+        return;
+      }
+      const refs = Store.references([old]);
+      const parts = [`"${name}" already exists. Merge "${old}" into it instead?`,
+        `"${old}" is removed and "${name}" keeps its own recipe; the changes in this form are discarded.`];
+      if (refs.length) parts.push(refsPreview(refs));
+      parts.push(`Inventory, prices, plan rows, tree overrides and the plan being executed move to "${name}". Undo brings back the recipe, but that data stays combined under "${name}".`);
+      if (!confirm(parts.join('\n\n'))) return;
+      Store.mergeNames(name, [name, old]);
+      formDirty = false;
+      select(name);
+      return;
+    }
+    if (taken && !confirm(`"${name}" already exists. Replace its recipe with this one?`)) return;
+    if (old && name && name !== old) {
+      const refs = Store.references([old]);
+      const parts = [`Rename "${old}" to "${name}"?`];
+      if (refs.length) parts.push(refsPreview(refs));
+      parts.push(`Inventory, prices, plan rows, tree overrides and the plan being executed follow the new name.`);
+      if (!confirm(parts.join('\n\n'))) return;
+    }
     const newName = Store.upsert(rec, old);
     selected = newName;
     renderList();
@@ -993,6 +2112,62 @@ if (skillFilter) {
   skillFilter.innerHTML = '<option value="">All skills</option>' + LIFE_SKILLS.map(s => `<option value="${s}">${s}</option>`).join('');
 }
   Store.subscribe(renderList);
+  Store.subscribe(renderHistory);
+  GraphCheck.subscribe(renderGraphCheck);
+  GraphCheck.subscribe(renderDepGraph);
+  GraphCheck.subscribe(renderDuplicates);
+  depGraphBox?.addEventListener('toggle', renderDepGraph);
+  depScope?.addEventListener('change', renderDepGraph);
+  $('#btnDepZoomIn')?.addEventListener('click', () => zoomDepGraph(1 / 1.25));
+  $('#btnDepZoomOut')?.addEventListener('click', () => zoomDepGraph(1.25));
+  $('#btnDepFit')?.addEventListener('click', fitDepGraph);
+  // Wheel zooms around the pointer, dragging the background pans
+  const depPoint = e => {
+    const r = depGraph.getBoundingClientRect();
+    if (!depView || !r.width || !r.height) return [null, null];
+    return [depView.x + (e.clientX - r.left) / r.width * depView.w, depView.y + (e.clientY - r.top) / r.height * depView.h];
+  };
+  depGraph?.addEventListener('wheel', e => {
+    e.preventDefault();
+    zoomDepGraph(e.deltaY > 0 ? 1.15 : 1 / 1.15, ...depPoint(e));
+  }, { passive: false });
+  let depPan = null;
+  depGraph?.addEventListener('pointerdown', e => {
+    if (e.target.closest('.dep-node') || !depView) return;
+    depPan = { x: e.clientX, y: e.clientY, view: { ...depView } };
+    depGraph.classList.add('panning');
+    depGraph.setPointerCapture?.(e.pointerId);
+  });
+  depGraph?.addEventListener('pointermove', e => {
+    if (!depPan) return;
+    const r = depGraph.getBoundingClientRect();
+    if (!r.width) return;
+    const k = depPan.view.w / r.width;
+    setDepView({ ...depPan.view, x: depPan.view.x - (e.clientX - depPan.x) * k, y: depPan.view.y - (e.clientY - depPan.y) * k });
+  });
+  ['pointerup', 'pointercancel'].forEach(ev => depGraph?.addEventListener(ev, () => { depPan = null; depGraph.classList.remove('panning'); }));
+  depGraph?.addEventListener('click', e => {
+    const node = e.target.closest('.dep-node');
+    if (node && Store.get(node.dataset.name)) select(node.dataset.name);
+  });
+  graphSummary?.addEventListener('click', e => {
+    const a = e.target.closest('.recipe-link');
+    if (!a) return;
+    e.preventDefault();
+    if (Store.get(a.dataset.name)) select(a.dataset.name);
+  });
+  btnUndo?.addEventListener('click', () => undo());
+  btnRedo?.addEventListener('click', () => redo());
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) while the Builder is open; text fields keep their own undo
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (!$('#builder')?.classList.contains('active')) return;
+    const t = e.target;
+    if (t && (t.tagName === 'TEXTAREA' || (t.tagName === 'INPUT' && /^(text|number|search)$/.test(t.type)))) return;
+    const k = e.key.toLowerCase();
+    if (k === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+    else if ((k === 'z' && e.shiftKey) || k === 'y') { e.preventDefault(); redo(); }
+  });
   searchBox.addEventListener('input', renderList);
   skillFilter?.addEventListener('change', renderList);
   btnSortSkill?.addEventListener('click', () => { sortMode = 'SKILL'; renderList(); });
@@ -1001,43 +2176,195 @@ if (skillFilter) {
   btnDuplicate.addEventListener('click', duplicateSelected);
   btnDelete.addEventListener('click', del);
   btnSave.addEventListener('click', save);
-  btnReset.addEventListener('click', () => { selected ? loadForm(Store.get(selected)) : newRecipe(); formDirty = false; });
+  rName.addEventListener('input', () => rName.setCustomValidity(''));
+  btnReset.addEventListener('click', () => { selected ? loadForm(currentRecord()) : newRecipe(); formDirty = false; });
+  rVariantSelect?.addEventListener('change', () => selectVariant(Number(rVariantSelect.value) || 0));
+  btnAddVariant?.addEventListener('click', addVariant);
+  btnDeleteVariant?.addEventListener('click', deleteVariant);
   btnSortAZ.addEventListener('click', renderList);
 
   btnAddIng.addEventListener('click', () => addIngRow());
   btnAutofillIng.addEventListener('click', () => {
     // refresh datalist options
     for (const dl of document.querySelectorAll('datalist#allNames')) {
-      dl.innerHTML = Store.allNames().map(n => `<option value="${n}">`).join('');
+      dl.innerHTML = Store.allNames().map(n => `<option value="${escapeHtml(n)}">`).join('');
     }
   });
 
 btnLoadSample.addEventListener('click', async () => {
+  if (Store.count() && !confirm('Replace your saved recipes with the bundled recipes.json? Export first if you want to keep them.')) return;
   try {
-    const res = await fetch('recipes.json', { cache: 'no-store' });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    Store.load(data);
-    importStatus.textContent = 'Loaded recipes.json';
+    await loadBundledRecipes();
+    Store.discardSaved();
+    importStatus.textContent = 'Reset to bundled recipes.json';
     importStatus.className = 'pill ok';
   } catch (e) {
     importStatus.textContent = 'Could not load recipes.json';
     importStatus.className = 'pill err';
   }
 });
+  // ----- Merge import preview
+  let pendingMerge = null; // { incoming, label }
+
+  function fmtField(field, v) {
+    if (v == null) return '—';
+    if (typeof v === 'object') {
+      const pairs = Object.entries(v);
+      if (!pairs.length) return '—';
+      return field === 'YieldOutcomes'
+        ? pairs.map(([q, p]) => `${q}×${Math.round(p * 10000) / 100}%`).join(', ')
+        : pairs.map(([n, q]) => `${n} ×${q}`).join(', ');
+    }
+    return String(v);
+  }
+
+  function showMergePreview(text, label) {
+    const incoming = Store.parse(text).map;
+    const d = Store.diff(incoming);
+    pendingMerge = { incoming, label };
+    mergeSummary.textContent = `${d.added.length} added · ${d.changed.length} changed · ${d.identical.length} identical`;
+    mergeTableBody.innerHTML = '';
+
+    for (const name of d.added) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td><span class="chip ok">added</span></td><td>${escapeHtml(name)}</td><td class="muted">New recipe</td><td>Take</td>`;
+      mergeTableBody.appendChild(tr);
+    }
+    for (const c of d.changed) {
+      const tr = document.createElement('tr');
+      tr.dataset.name = c.name;
+      const fields = c.fields.map(f =>
+        `<div><b>${escapeHtml(f.field)}</b>: <span class="err">${escapeHtml(fmtField(f.field, f.mine))}</span> → <span class="ok">${escapeHtml(fmtField(f.field, f.theirs))}</span></div>`).join('');
+      tr.innerHTML = `
+        <td><span class="chip warn">changed</span></td>
+        <td>${escapeHtml(c.name)}</td>
+        <td>${fields}</td>
+        <td>
+          <select class="merge-choice">
+            <option value="mine">Keep mine</option>
+            <option value="theirs">Take theirs</option>
+            <option value="rename">Rename incoming</option>
+          </select>
+          <input class="merge-rename" type="text" style="display:none;margin-top:6px" value="${escapeHtml(uniqueName(c.name + ' (theirs)'))}"/>
+        </td>`;
+      const choice = tr.querySelector('.merge-choice');
+      const rename = tr.querySelector('.merge-rename');
+      choice.addEventListener('change', () => { rename.style.display = choice.value === 'rename' ? '' : 'none'; });
+      mergeTableBody.appendChild(tr);
+    }
+    if (d.identical.length) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td><span class="chip">identical</span></td><td colspan="3" class="muted">${escapeHtml(d.identical.join(', '))}</td>`;
+      mergeTableBody.appendChild(tr);
+    }
+    mergeBox.style.display = '';
+    importStatus.textContent = 'Review merge below'; importStatus.className = 'pill warn';
+  }
+
+  function hideMergePreview() { pendingMerge = null; mergeBox.style.display = 'none'; mergeTableBody.innerHTML = ''; }
+
+  function applyMerge() {
+    if (!pendingMerge) return;
+    const decisions = {};
+    for (const tr of mergeTableBody.querySelectorAll('tr[data-name]')) {
+      const v = tr.querySelector('.merge-choice').value;
+      decisions[tr.dataset.name] = v === 'rename' ? { rename: tr.querySelector('.merge-rename').value } : v;
+    }
+    try {
+      const n = Store.merge(pendingMerge.incoming, decisions, pendingMerge.label);
+      hideMergePreview();
+      importStatus.textContent = `Merged ${n} recipes`; importStatus.className = 'pill ok';
+    } catch (e) {
+      importStatus.textContent = String(e.message || e); importStatus.className = 'pill err';
+    }
+  }
+
+  // Route an import through replace or merge depending on the selected mode
+  function applyImport(text, what) {
+    if (importMode?.value === 'merge') {
+      showMergePreview(text, `Merged from ${what}`);
+    } else {
+      Store.load(text);
+      importStatus.textContent = `Loaded ${what}`; importStatus.className = 'pill ok';
+    }
+  }
+
+  // ----- Validation report (shown before any import that has warnings or errors)
+  let pendingImport = null; // { raw, what, report }
+
+  function importText(text, what) {
+    const raw = JSON.parse(text);
+    const context = importMode?.value === 'merge' ? Store.all() : {};
+    const report = Store.validate(raw, context);
+    if (!report.errors && !report.warnings) { applyImport(raw, what); return; }
+    pendingImport = { raw, what, report };
+    showValidation(report);
+  }
+
+  function showValidation(report) {
+    validateSummary.textContent = `${report.total} recipes · ${report.errors} errors · ${report.warnings} warnings · ${report.infos} notes`;
+    validateList.innerHTML = '';
+    for (const { name, issues } of report.recipes) {
+      const li = document.createElement('li');
+      const worst = issues.some(i => i.level === 'error') ? 'err' : (issues.some(i => i.level === 'warn') ? 'warn' : 'muted');
+      li.innerHTML = `<b class="${worst}">${escapeHtml(name)}</b><ul>${issues.map(i =>
+        `<li class="${i.level === 'error' ? 'err' : (i.level === 'warn' ? 'warn' : 'muted')}">${i.level}: ${escapeHtml(i.msg)}</li>`).join('')}</ul>`;
+      validateList.appendChild(li);
+    }
+    btnImportSkipErrors.disabled = !report.errors;
+    validateBox.style.display = '';
+    importStatus.textContent = report.errors ? 'Import has errors' : 'Import has warnings';
+    importStatus.className = report.errors ? 'pill err' : 'pill warn';
+  }
+  function hideValidation() { pendingImport = null; validateBox.style.display = 'none'; validateList.innerHTML = ''; }
+
+  // Drop recipes that have at least one error from the raw payload
+  function withoutErrorRecipes(raw, report) {
+    const bad = new Set(report.recipes.filter(x => x.issues.some(i => i.level === 'error')).map(x => x.name));
+    if (Array.isArray(raw)) return raw.filter((r, i) => !bad.has(r?.Name ? String(r.Name).trim() : `#${i + 1}`));
+    return Object.fromEntries(Object.entries(raw).filter(([k, r]) => !bad.has(String(r?.Name || k).trim())));
+  }
+
+  btnImportAccept?.addEventListener('click', () => {
+    if (!pendingImport) return;
+    const { raw, what } = pendingImport;
+    hideValidation();
+    applyImport(raw, what);
+  });
+  btnImportSkipErrors?.addEventListener('click', () => {
+    if (!pendingImport) return;
+    const { raw, what, report } = pendingImport;
+    hideValidation();
+    applyImport(withoutErrorRecipes(raw, report), `${what} (without recipes with errors)`);
+  });
+  btnImportFix?.addEventListener('click', () => {
+    if (!pendingImport) return;
+    jsonText.value = JSON.stringify(pendingImport.raw, null, 2);
+    hideValidation();
+    jsonText.focus();
+    importStatus.textContent = 'Fix the JSON, then Load from text'; importStatus.className = 'pill warn';
+  });
+  btnImportReject?.addEventListener('click', () => {
+    hideValidation();
+    importStatus.textContent = 'Import rejected'; importStatus.className = 'pill';
+  });
+
+  btnApplyMerge?.addEventListener('click', applyMerge);
+  btnCancelMerge?.addEventListener('click', () => { hideMergePreview(); importStatus.textContent = 'Merge cancelled'; importStatus.className = 'pill'; });
+
   btnExportJson.addEventListener('click', () => download('recipes.json', Store.exportJson(true)));
   btnCopyJson.addEventListener('click', async () => {
     await navigator.clipboard.writeText(Store.exportJson(true));
     importStatus.textContent = 'Copied to clipboard'; importStatus.className = 'pill ok';
   });
   btnLoadText.addEventListener('click', () => {
-    try { Store.load(jsonText.value); importStatus.textContent = 'Loaded from text'; importStatus.className = 'pill ok'; }
+    try { importText(jsonText.value, 'text'); }
     catch (e) { importStatus.textContent = 'Invalid JSON'; importStatus.className = 'pill err'; }
   });
   btnClearStore.addEventListener('click', () => { Store.clear(); importStatus.textContent = 'Cleared'; importStatus.className = 'pill warn'; });
   fileRecipes.addEventListener('change', async () => {
     const f = fileRecipes.files?.[0]; if (!f) return;
-    try { Store.load(await f.text()); importStatus.textContent = `Loaded ${f.name}`; importStatus.className = 'pill ok'; }
+    try { importText(await f.text(), f.name); }
     catch (e) { importStatus.textContent = 'Invalid JSON'; importStatus.className = 'pill err'; }
   });
 
@@ -1045,6 +2372,9 @@ btnLoadSample.addEventListener('click', async () => {
   recomputeSamplesUI();
   newRecipe();
   renderList();
+  renderHistory();
+  renderGraphCheck();
+  renderDuplicates();
 })();
 
 // ----------------- CALCULATOR MODULE -----------------
@@ -1070,20 +2400,83 @@ btnLoadSample.addEventListener('click', async () => {
 
   const treeOut = $('#treeOut');
   const showTimes = $('#showTimes');
+  const treeOverridesEl = $('#treeOverrides');
+  const btnTreeExpand = $('#btnTreeExpand');
+  const btnTreeCollapse = $('#btnTreeCollapse');
+  const btnClearOverrides = $('#btnClearOverrides');
   const leafTableBody = $('#leafTable tbody');
 
+  const planWrap = $('#planWrap');
+  const planTableBody = $('#planTable tbody');
+  const btnAddPlanRow = $('#btnAddPlanRow');
+  const availableFocusPlan = $('#availableFocusPlan');
+
+  const stockResultBody = $('#stockResultTable tbody');
+  const routeObjectiveEl = $('#routeObjective');
+  const routeWeightEl = $('#routeWeight');
+  const routesTableBody = $('#routesTable tbody');
+  const confidenceLevel = $('#confidenceLevel');
+  const calcProfile = $('#calcProfile');
+  const btnAdvisor = $('#btnAdvisor');
+  const btnBag = $('#btnBag');
+  const bagMode = $('#bagMode');
+  const bagFocus = $('#bagFocus');
+  const bagOut = $('#bagOut');
+  const bagTableBody = $('#bagTable tbody');
+  const btnOptimize = $('#btnOptimize');
+  const optMode = $('#optMode');
+  const optFocus = $('#optFocus');
+  const optHours = $('#optHours');
+  const optUseBag = $('#optUseBag');
+  const optOut = $('#optOut');
+  const optTableBody = $('#optTable tbody');
+  const advisorOut = $('#advisorOut');
+  const advisorTableBody = $('#advisorTable tbody');
+  const marketOut = $('#marketOut');
+  const marketTableBody = $('#marketTable tbody');
+  const rankTableBody = $('#rankTable tbody');
+  const rankSort = $('#rankSort');
+  const btnRank = $('#btnRank');
+  const btnShareLink = $('#btnShareLink');
+  const shareRecipes = $('#shareRecipes');
+  const shareStatus = $('#shareStatus');
+  const btnSchedule = $('#btnSchedule');
+  const poolCurrent = $('#poolCurrent');
+  const poolCap = $('#poolCap');
+  const poolRegen = $('#poolRegen');
+  const poolEvery = $('#poolEvery');
+  const scheduleOut = $('#scheduleOut');
+  const scheduleTableBody = $('#scheduleTable tbody');
+  const btnStartSession = $('#btnStartSession');
+  const btnEndSession = $('#btnEndSession');
+  const sessionOut = $('#sessionOut');
+  const sessionTableBody = $('#sessionTable tbody');
+  const simRuns = $('#simRuns');
+  const btnSimulate = $('#btnSimulate');
+  const simOut = $('#simOut');
+  const simCharts = $('#simCharts');
+  const simHistFocus = $('#simHistFocus');
+  const simHistTime = $('#simHistTime');
+
   const state = { lastLines: [], lastTotals: null };
 
-  function updateMaterials() {
-    targetSelect.innerHTML = '';
+  // Rebuild a material <select>, keeping its current value when it still exists
+  function fillMaterialOptions(select) {
+    const prev = select.value || select.dataset.value; // dataset.value: wanted before recipes loaded
+    select.innerHTML = '';
     const names = Store.allNames();
     for (const n of names) {
       const r = Store.get(n);
       const tag = r.IsMineable ? '[mine]' : (Object.keys(r.Ingredients).length ? '[craft]' : '[solo]');
       const opt = document.createElement('option');
       opt.value = n; opt.textContent = `${n} ${tag}`;
-      targetSelect.appendChild(opt);
+      select.appendChild(opt);
     }
+    if (prev && Store.get(prev)) select.value = prev;
+  }
+  function updateMaterials() {
+    fillMaterialOptions(targetSelect);
+    planTableBody?.querySelectorAll('.plan-target').forEach(fillMaterialOptions);
   }
   Store.subscribe(updateMaterials);
 
@@ -1126,6 +2519,37 @@ btnLoadSample.addEventListener('click', async () => {
     });
   }
 
+  // Histogram of a sorted sample; `marker` draws a vertical line (e.g. available Focus)
+  function drawHistogram(canvas, sorted, { bins = 30, marker = null, label = v => String(Math.round(v)) } = {}) {
+    const ctx = canvas.getContext('2d');
+    const W = canvas.width = 340, H = canvas.height = 120;
+    ctx.clearRect(0, 0, W, H);
+    if (!sorted.length) return;
+    const lo = sorted[0], hi = sorted[sorted.length - 1];
+    const span = hi - lo || 1;
+    const n = hi === lo ? 1 : bins;
+    const counts = new Array(n).fill(0);
+    for (const v of sorted) counts[Math.min(n - 1, Math.floor(((v - lo) / span) * n))]++;
+    const maxC = Math.max(...counts);
+    const x0 = 8, y0 = H - 16, w = W - 16, h = H - 28;
+    const barW = w / n;
+
+    ctx.strokeStyle = '#2a2f55'; ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(x0, y0 + 0.5); ctx.lineTo(x0 + w, y0 + 0.5); ctx.stroke();
+    counts.forEach((c, i) => {
+      const barH = c ? Math.max(1, Math.round(h * c / maxC)) : 0;
+      ctx.fillStyle = (marker != null && lo + (i + 0.5) * span / n > marker) ? '#ff5d5d' : '#7c9cff';
+      ctx.fillRect(x0 + i * barW + 1, y0 - barH, Math.max(1, barW - 2), barH);
+    });
+    ctx.fillStyle = '#8b90aa'; ctx.font = '10px system-ui';
+    ctx.textAlign = 'left'; ctx.fillText(label(lo), x0, y0 + 12);
+    ctx.textAlign = 'right'; ctx.fillText(label(hi), x0 + w, y0 + 12);
+    if (marker != null && marker >= lo && marker <= hi) {
+      const mx = x0 + ((marker - lo) / span) * w;
+      ctx.strokeStyle = '#35c759'; ctx.beginPath(); ctx.moveTo(mx + 0.5, 4); ctx.lineTo(mx + 0.5, y0); ctx.stroke();
+    }
+  }
+
   function renderDistributions(lines) {
     if (!distWrap) return;
     // Collect unique nodes that have probabilistic outcomes in this plan
@@ -1150,7 +2574,7 @@ btnLoadSample.addEventListener('click', async () => {
 
       const meta = document.createElement('div');
       meta.style.minWidth = '160px';
-      meta.innerHTML = `<div style="font-weight:600">${name}</div><small class="muted">EV ${fmt2(expectedFromOutcomes(outcomes))}</small>`;
+      meta.innerHTML = `<div style="font-weight:600">${escapeHtml(name)}</div><small class="muted">EV ${fmt2(expectedFromOutcomes(outcomes))}</small>`;
 
       const canvas = document.createElement('canvas');
       drawDistribution(canvas, outcomes);
@@ -1161,278 +2585,372 @@ btnLoadSample.addEventListener('click', async () => {
     }
   }
 
-  // ----- Core calc -----
-// Mastery EV logic (fresh)
-function _nameHas(rec, needles){
-  const n = String(rec?.Name||'').toLowerCase();
-  return needles.some(s => n.includes(String(s).toLowerCase()));
-}
-function masteryEVBonus(rec, action){
-  const skill = rec.LifeSkill || '';
-  const sel = (Profile._state().masteries||{})[skill] || {};
-  let add = 0;
-
-  // Gathering-with-focus helpers
-  const isGather = rec.IsMineable && (rec.FocusCost||0) > 0;
-
-  switch (skill){
-    case 'Mineralogy': {
-      if (isGather){
-        const p = {0:0,1:0.10,2:0.20,3:0.30}[Number(sel.miningYieldLevel||0)] || 0;
-        add += p;
-      }
-      break;
+  // ----- Core calc (engine.js) -----
+  // One FocusEngine over the current recipes, active profile, mastery rules and route
+  // options. It caches route choices, so it is rebuilt after any of those change.
+  let calcEngine = null;
+  function engine() {
+    if (!calcEngine) {
+      calcEngine = FocusEngine.createEngine({
+        recipes: Store.all(),
+        masteries: Profile._state().masteries,
+        definitions: MasteryRules.get(),
+        routeObjective: routeObjectiveEl?.value || RouteObjective.Focus,
+        routeWeight: nz(routeWeightEl?.value, 0)
+      });
     }
-    case 'Botany': {
-      if (isGather){
-        const p = {0:0,1:0.10,2:0.20,3:0.30}[Number(sel.sparePouchLevel||0)] || 0;
-        add += p;
+    return calcEngine;
+  }
+  const clearRouteCache = () => { calcEngine = null; };
+  Store.subscribe(clearRouteCache);
+  Profile.subscribe(clearRouteCache);
+  MasteryRules.subscribe(clearRouteCache);
+
+  const applyAllYieldMods = (rec, action, baseYield) => engine().applyAllYieldMods(rec, action, baseYield);
+  const craftDistribution = (rec, action) => engine().craftDistribution(rec, action);
+  const effectiveTimePerCraft = (rec, action) => engine().effectiveTimePerCraft(rec, action);
+  const routeInfo = (name, mode) => engine().routeInfo(name, mode);
+  const recipeFor = (name, mode) => engine().recipeFor(name, mode);
+  const lineRecipe = ln => engine().lineRecipe(ln);
+  const calculateFocus = (target, units, mode, stock = null, modes = null) => engine().calculateFocus(target, units, mode, stock, modes);
+  const planOrder = (targets, mode, modes = null) => engine().planOrder(targets, mode, modes);
+  const calculatePlan = (targets, mode, stock = null, modes = null) => engine().calculatePlan(targets, mode, stock, modes);
+  const maxCraftable = (target, focus, mode, stock = null, modes = null) => engine().maxCraftable(target, focus, mode, stock, modes);
+
+  // ----- Monte Carlo -----
+  // Runs the plan `runs` times. Each material is crafted until the realized output covers
+  // its demand (consumers first, so ingredient demand follows the crafts that actually
+  // happened). Routes are the Average-mode choices, or those of a material's own yield mode
+  // in `modes` (the tree overrides), as in the calculated plan.
+  // Works in slices of about SIM_SLICE_MS, yielding to the page in between so it stays
+  // responsive; onProgress(done, runs) is called after each slice.
+  const SIM_SLICE_MS = 40;
+  async function simulatePlan(targets, runs, stock = null, modes = null, onProgress = null) {
+    const order = planOrder(targets, YieldMode.Avg, modes);
+    const nodes = order.map(name => {
+      const rec = recipeFor(name, modes?.[name] || YieldMode.Avg);
+      const action = actionFor(rec);
+      const dist = craftDistribution(rec, action);
+      if (!dist.some(([q]) => q > 0)) throw new Error(`"${name}" can never yield anything; cannot simulate.`);
+      // Cumulative table for sampling
+      let c = 0;
+      const cdf = dist.map(([q, p]) => [q, (c += p)]);
+      return {
+        name, rec, cdf,
+        focus: rec.FocusCost || 0,
+        time: effectiveTimePerCraft(rec, action),
+        ings: Object.entries(rec.Ingredients || {})
+      };
+    });
+    const sample = cdf => {
+      const u = Math.random() * cdf[cdf.length - 1][1];
+      for (const [q, c] of cdf) if (u < c) return q;
+      return cdf[cdf.length - 1][0];
+    };
+
+    const focus = new Float64Array(runs);
+    const time = new Float64Array(runs);
+    const CRAFT_LIMIT = 1e6;
+    function runOnce(r) {
+      const demand = {};
+      for (const t of targets) demand[t.name] = (demand[t.name] || 0) + t.qty;
+      const left = stock ? { ...stock } : null;
+      let f = 0, t = 0;
+      for (const n of nodes) {
+        const need = (demand[n.name] || 0) - takeFromStock(left, n.name, demand[n.name] || 0);
+        let made = 0, crafts = 0;
+        while (made < need - 1e-9) {
+          made += sample(n.cdf);
+          if (++crafts > CRAFT_LIMIT) throw new Error(`Simulation stopped: over ${CRAFT_LIMIT} crafts of ${n.name}.`);
+        }
+        f += crafts * n.focus;
+        t += crafts * n.time;
+        for (const [ing, q] of n.ings) demand[ing] = (demand[ing] || 0) + q * crafts;
       }
-      break;
+      focus[r] = f; time[r] = t;
     }
-    case 'Gemology': {
-      if (isGather){
-        const p = {0:0,1:0.10,2:0.20,3:0.30}[Number(sel.gemYieldGatherLevel||0)] || 0;
-        add += p;
-      }
-      break;
+    let done = 0;
+    while (done < runs) {
+      const until = performance.now() + SIM_SLICE_MS;
+      do runOnce(done++); while (done < runs && performance.now() < until);
+      onProgress?.(done, runs);
+      if (done < runs) await new Promise(resolve => setTimeout(resolve));
     }
-    case 'Smelting': {
-      if (_nameHas(rec, ['mystery metal','radiant stone','fine forgestone'])){
-        const p = {0:0,1:0.05,2:0.10,3:0.15}[Number(sel.luckySmeltingLevel||0)] || 0;
-        add += p;
-      }
-      break;
+    focus.sort(); time.sort();
+    return { runs, focus, time };
+  }
+
+  // p in 0..1 over a sorted sample
+  function percentile(sorted, p) {
+    if (!sorted.length) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+  }
+  function mean(arr) { let s = 0; for (const v of arr) s += v; return arr.length ? s / arr.length : 0; }
+
+  // ----- Rendering -----
+  function renderLeafChecklist(lines) {
+    const rows = engine().leafChecklist(lines);
+    leafTableBody.innerHTML = '';
+    for (const r of rows) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${r.action}</td>
+        <td>${escapeHtml(r.name)}</td>
+        <td class="num">${r.crafts}</td>
+        <td class="num">${r.yieldEff}</td>
+        <td class="num">${r.units}</td>
+        <td class="num">${fmt2(r.focus)}</td>
+        <td>${r.time > 0 ? formatDuration(r.time) : ''}</td>
+        <td class="num">${r.surplus > 0 ? r.surplus : ''}</td>`;
+      leafTableBody.appendChild(tr);
     }
-    case 'Artisanry': {
-      const lvl = Number(sel.artisanryLevel||0);
-      if (_nameHas(rec, ['burning powder','gem wax'])){
-        if (lvl === 1) add += 2;
-        if (lvl === 2) add += 5;
+  }
+
+  // Materials in the run that have alternative routes: the chosen one and what the others cost.
+  // Ranked under the yield mode the lines were calculated with (`modes`: per-material
+  // overrides), so the marked route is the one the plan used.
+  function renderRoutes(lines, mode, modes = null) {
+    if (!routesTableBody) return;
+    routesTableBody.innerHTML = '';
+    const seen = new Set();
+    for (const ln of lines) {
+      if (seen.has(ln.Material) || !Store.get(ln.Material)?.Alternatives?.length) continue;
+      seen.add(ln.Material);
+      const info = routeInfo(ln.Material, modes?.[ln.Material] || mode);
+      for (const o of info.options) {
+        const tr = document.createElement('tr');
+        const chosen = o.index === info.best.index;
+        if (chosen) tr.className = 'chosen';
+        const fin = v => Number.isFinite(v) ? v : null;
+        tr.innerHTML = `
+          <td>${chosen ? escapeHtml(ln.Material) : ''}</td>
+          <td>${chosen ? '✅ ' : ''}${escapeHtml(o.variant)}</td>
+          <td class="num">${fin(o.focus) == null ? '—' : fmt2(o.focus)}</td>
+          <td class="num">${fin(o.time) == null ? '—' : fmt2(o.time) + 's'}</td>
+          <td class="num">${fin(o.focus) == null ? '—' : fmt2(o.focus * (ln.UnitsRequested - (ln.FromStock || 0)))}</td>`;
+        routesTableBody.appendChild(tr);
       }
-      if (lvl === 2 && _nameHas(rec, ['fast-burning powder'])) add += 1;
-      break;
     }
-    case 'Culinary': {
-      if (!_nameHas(rec, ['cheer-up treat'])){
-        const p = {0:0,1:0.10,2:0.20,3:0.30}[Number(sel.luckyCookingLevel||0)] || 0;
-        add += p;
-      }
-      break;
+    if (!seen.size) routesTableBody.innerHTML = '<tr><td colspan="5" class="muted">No materials with alternative routes in this plan.</td></tr>';
+  }
+
+  // What the run took from inventory, what still had to be made, and what is left
+  function renderStockResult(lines, stock, stockLeft) {
+    if (!stockResultBody) return;
+    stockResultBody.innerHTML = '';
+    if (!stock) {
+      stockResultBody.innerHTML = '<tr><td colspan="5" class="muted">Inventory is switched off.</td></tr>';
+      return;
     }
-    case 'Alchemy': {
-      if (!_nameHas(rec, ['arcane insight conversion'])){
-        const p = {0:0,1:0.10,2:0.20,3:0.30}[Number(sel.alchemyRefineLevel||0)] || 0;
-        add += p;
-      }
-      if (_nameHas(rec, ['spray'])){
-        const p2 = {0:0,1:0.20,2:0.30}[Number(sel.sprayYieldLevel||0)] || 0;
-        add += p2;
-      }
-      break;
+    const rows = {};
+    for (const ln of lines) {
+      const r = rows[ln.Material] = rows[ln.Material] || { taken: 0, make: 0 };
+      r.taken += ln.FromStock || 0;
+      r.make += Math.max(0, ln.UnitsRequested - (ln.FromStock || 0));
     }
-    case 'Gemcrafting': {
-      const p = {0:0,1:0.05,2:0.10,3:0.15}[Number(sel.gemYieldCraftLevel||0)] || 0;
-      add += p;
-      break;
+    const names = new Set([...Object.keys(stock), ...Object.keys(rows).filter(n => rows[n].taken > 0)]);
+    if (!names.size) {
+      stockResultBody.innerHTML = '<tr><td colspan="5" class="muted">Inventory is empty.</td></tr>';
+      return;
     }
-    case 'Weaving': {
-      if (_nameHas(rec, ['dye'])){
-        const p = {0:0,1:0.20,2:0.30}[Number(sel.dyeYieldLevel||0)] || 0;
-        add += p;
-      }
-      break;
+    for (const name of [...names].sort((a, b) => (rows[b]?.taken || 0) - (rows[a]?.taken || 0) || a.localeCompare(b))) {
+      const r = rows[name] || { taken: 0, make: 0 };
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${escapeHtml(name)}</td>
+        <td class="num">${stock[name] === Infinity ? 'buy' : fmt2(stock[name] || 0)}</td>
+        <td class="num">${r.taken ? fmt2(r.taken) : '—'}</td>
+        <td class="num">${r.make ? fmt2(r.make) : '—'}</td>
+        <td class="num">${stock[name] === Infinity ? '—' : fmt2(stockLeft?.[name] || 0)}</td>`;
+      stockResultBody.appendChild(tr);
     }
   }
-  return add;
-}
-  const YieldMode = { Safe: 'safe', Avg: 'average', Opt: 'optimistic' };
-
-  function effectiveYield(rec, mode) {
-    // 1) Outcomes override
-    if (rec.YieldOutcomes && typeof rec.YieldOutcomes === 'object') {
-      const pairs = Object.entries(rec.YieldOutcomes)
-        .map(([k, v]) => [Number(k), Number(v)])
-        .filter(([qty, p]) => Number.isFinite(qty) && qty >= 0 && Number.isFinite(p) && p >= 0);
-
-      if (pairs.length) {
-        const min = Math.min(...pairs.map(([q]) => q));
-        const max = Math.max(...pairs.map(([q]) => q));
-        const sumP = pairs.reduce((s, [, p]) => s + p, 0) || 1;
-        const avg = pairs.reduce((s, [q, p]) => s + q * (p / sumP), 0);
-        if (mode === YieldMode.Safe) return Math.max(0, min);
-        if (mode === YieldMode.Opt) return Math.max(0, max);
-        return Math.max(0, avg);
-      }
-    }
-
-    // 2) Min/Max window (with optional chances)
-    const hasMin = rec.YieldMin != null && rec.YieldMin >= 0;
-    const hasMax = rec.YieldMax != null && rec.YieldMax >= 0;
-    if (hasMin || hasMax) {
-      const min = hasMin ? rec.YieldMin : (rec.Yield ?? 1);
-      const max = hasMax ? rec.YieldMax : (rec.Yield ?? 1);
-      if (mode === YieldMode.Safe) return Math.max(0, min);
-      if (mode === YieldMode.Opt) return Math.max(0, max);
-
-      let pMin = rec.YieldMinChance, pMax = rec.YieldMaxChance;
-      if (pMin == null && pMax == null) return Math.max(0, (min + max) / 2);
-      if (pMin == null) pMin = 1 - pMax;
-      if (pMax == null) pMax = 1 - pMin;
-      const sum = (pMin || 0) + (pMax || 0);
-      if (sum <= 0) return Math.max(0, (min + max) / 2);
-      pMin /= sum; pMax /= sum;
-      return Math.max(0, min * pMin + max * pMax);
-    }
 
-    // 3) Fixed yield
-    const y = (rec.Yield == null) ? 1 : Number(rec.Yield);
-    return Math.max(0, Number.isFinite(y) ? y : 1);
+  // ----- Interactive breakdown tree -----
+  // Overrides by material, applied to every run of the calculator:
+  //   have: units already on hand (added to inventory) · buy: bought, never crafted ·
+  //   mode: yield mode for that material instead of the run's own
+  const treeOverrides = {};
+  const treeCollapsed = new Set(); // paths ("A › B") of folded nodes
+  let treeFoldable = []; // paths of nodes with children in the current tree
+  const MODE_LABELS = { [YieldMode.Safe]: 'Safe', [YieldMode.Avg]: 'Average', [YieldMode.Opt]: 'Optimistic' };
+
+  // Inventory plus "have"/"buy" overrides; bought materials count as unlimited stock
+  function overrideStock(stock) {
+    const entries = Object.entries(treeOverrides).filter(([, o]) => o.buy || o.have > 0);
+    if (!entries.length) return stock;
+    const out = { ...(stock || {}) };
+    for (const [name, o] of entries) out[name] = o.buy ? Infinity : (out[name] || 0) + o.have;
+    return out;
+  }
+  function overrideModes() {
+    const modes = {};
+    for (const [name, o] of Object.entries(treeOverrides)) if (o.mode) modes[name] = o.mode;
+    return Object.keys(modes).length ? modes : null;
+  }
+  function overrideText(name) {
+    const o = treeOverrides[name] || {};
+    const bits = [];
+    if (o.buy) bits.push('buy');
+    if (o.have > 0) bits.push(`have ${o.have}`);
+    if (o.mode) bits.push(`${MODE_LABELS[o.mode]} yield`);
+    return bits.join(', ');
+  }
+  // Merges `patch` into a material's overrides (falsy values remove a setting) and recalculates
+  function setOverride(name, patch) {
+    const o = { ...treeOverrides[name], ...patch };
+    for (const k of Object.keys(o)) if (!o[k]) delete o[k];
+    if (Object.keys(o).length) treeOverrides[name] = o;
+    else delete treeOverrides[name];
+    btnCalc.click();
+  }
+  function onOverrideSelect(name, value) {
+    if (value === 'have') {
+      const input = prompt(`How many ${name} do you already have?`, treeOverrides[name]?.have || '');
+      const n = Number(input);
+      if (input == null || !(n > 0)) { renderTreeView(); return; }
+      setOverride(name, { have: n, buy: false });
+    } else if (value === 'buy') setOverride(name, { buy: true, have: 0 });
+    else if (value.startsWith('mode:')) setOverride(name, { mode: value.slice(5) });
+    else if (value === 'clear') setOverride(name, { buy: false, have: 0, mode: null });
   }
 
-  
-  
-
-function applyAllYieldMods(rec, action, baseYield){
-  let y = Math.max(0, Number(baseYield) || 0);
-  y += masteryEVBonus(rec, action);
-  return y;
-}
-
-
-
-  
-
-function effectiveTimePerCraft(rec, action){
-  let t = Math.max(0, nz(rec.TimePerCraftSeconds, 0));
-  const skill = rec.LifeSkill || '';
-  const sel = (Profile._state().masteries||{})[skill] || {};
-  const cap = Number(sel.timeCap || 0);
-  if (cap > 0) t = Math.min(t, cap);
-  return t;
-}
-
-
-
-
-  function calculateFocus(target, unitsRequested, mode) {
-    const stack = [];
-    const lines = [];
-    function recurse(name, reqUnits, level) {
-      const rec = Store.get(name);
-      if (!rec) throw new Error(`Unknown material: ${name}`);
-      if (stack.includes(name)) {
-        const cyc = [...stack, name].join(' -> ');
-        throw new Error(`Cycle detected: ${cyc}`);
-      }
-      stack.push(name);
-
-      const action = rec.IsMineable
-        ? ((rec.FocusCost || 0) > 0 ? 'Mine' : 'Gather')
-        : 'Craft';
-      let y = effectiveYield(rec, mode);
-      y = applyAllYieldMods(rec, action, y);
-      if (reqUnits > 0 && y <= 0) {
-        throw new Error(`Effective yield is 0 for "${rec.Name}" in current yield mode; cannot produce the requested units. Try Average/Optimistic or define probabilities.`);
-      }
-      const crafts = Math.ceil(reqUnits / Math.max(y, 0.0000001)); // guard tiny floats
-      const nodeFocus = crafts * (rec.FocusCost || 0);
-      const nodeTime = crafts * effectiveTimePerCraft(rec, action);
-
-            // action already computed above
-      lines.push({
-        Level: level,
-        Action: action,
-        Material: rec.Name,
-        Crafts: crafts,
-        Yield: y,
-        UnitsRequested: reqUnits,
-        FocusUsed: nodeFocus,
-        TimeUsedSeconds: nodeTime
-      });
-
-      let totalFocus = nodeFocus;
-      for (const [ing, perCraft] of Object.entries(rec.Ingredients || {})) {
-        const need = perCraft * crafts;
-        totalFocus += recurse(ing, need, level + 1);
-      }
-
-      stack.pop();
-      return totalFocus;
+  function renderOverrideChips() {
+    treeOverridesEl.innerHTML = '';
+    const names = Object.keys(treeOverrides).sort((a, b) => a.localeCompare(b));
+    btnClearOverrides.disabled = !names.length;
+    for (const name of names) {
+      const el = chip(`${name}: ${overrideText(name)}`, 'warn');
+      const x = document.createElement('button');
+      x.className = 'btn small ghost';
+      x.textContent = '×';
+      x.title = 'Remove this override';
+      x.addEventListener('click', () => setOverride(name, { buy: false, have: 0, mode: null }));
+      el.appendChild(x);
+      treeOverridesEl.appendChild(el);
     }
-    const total = recurse(target, unitsRequested, 0);
-    return { totalFocus: total, lines };
   }
 
-  function sumTimeSeconds(lines) {
-    return lines.reduce((s, ln) => s + (ln.TimeUsedSeconds || 0), 0);
+  function overrideSelect(name) {
+    const o = treeOverrides[name] || {};
+    const sel = document.createElement('select');
+    sel.title = 'Override for this material';
+    const opts = [
+      ['', o.buy || o.have || o.mode ? `Override: ${overrideText(name)}` : 'Override…'],
+      ['have', o.have ? `I have ${o.have} (change)` : 'I already have some…'],
+      ['buy', 'Buy it, don\'t craft'],
+      ...Object.entries(MODE_LABELS).map(([m, label]) => [`mode:${m}`, `Use ${label} yield here`])
+    ];
+    if (o.buy || o.have || o.mode) opts.push(['clear', 'Remove override']);
+    for (const [value, label] of opts) {
+      const opt = document.createElement('option');
+      opt.value = value; opt.textContent = label;
+      sel.appendChild(opt);
+    }
+    sel.addEventListener('change', () => onOverrideSelect(name, sel.value));
+    return sel;
   }
 
-  function maxCraftable(target, availableFocus, mode) {
-    const oneUnit = calculateFocus(target, 1, mode).totalFocus;
-    if (oneUnit <= 0) return 0;
-    let lo = 0, hi = 1;
-    while (true) {
-      const f = calculateFocus(target, hi, mode).totalFocus;
-      if (f > availableFocus) break;
-      hi *= 2; if (hi > 1_000_000_000) break;
-    }
-    while (lo < hi) {
-      const mid = lo + Math.floor((hi - lo + 1) / 2);
-      const f = calculateFocus(target, mid, mode).totalFocus;
-      if (f <= availableFocus) lo = mid; else hi = mid - 1;
-    }
-    return lo;
+  function shareBar(part, total, title, cls = '') {
+    const pct = total > 0 ? 100 * part / total : 0;
+    const bar = document.createElement('span');
+    bar.className = `tree-share ${cls}`.trim();
+    bar.title = `${pct.toFixed(1)}% of ${title}`;
+    bar.innerHTML = `<span style="width:${Math.min(100, pct).toFixed(1)}%"></span>`;
+    return bar;
   }
 
-  // ----- Rendering -----
-  function renderTree(lines, showT) {
-    const out = [];
+  // Lines list each material once (demand already totalled), consumers first. The tree hangs
+  // each material under one consumer one Level up — the first that actually crafts — so
+  // subtree shares count a shared material once; its other consumers are named beside it.
+  function treeParents(lines) {
+    const byName = new Map();
+    const parents = new Map();
     for (const ln of lines) {
-      const pad = ' '.repeat(ln.Level * 2);
-      const timeTail = showT && ln.TimeUsedSeconds > 0 ? ` + ${formatDuration(ln.TimeUsedSeconds)}` : '';
-      if (ln.Action === 'Gather' && ln.FocusUsed === 0) {
-        out.push(`${pad}- ${ln.Action} ${ln.UnitsRequested} ${ln.Material} (no Focus cost${timeTail ? ',' + timeTail : ''})`);
-      } else {
-        out.push(`${pad}- ${ln.Action} ${ln.Crafts}x ${ln.Material} → ${fmt2(ln.FocusUsed)} Focus (Yield ${ln.Yield}, Req ${ln.UnitsRequested})${timeTail}`);
-      }
+      if (!(ln.UnitsRequested > 0)) continue; // nothing needed here (its ingredients need nothing either)
+      const consumers = (ln.UsedBy || []).map(n => byName.get(n)).filter(Boolean);
+      const parent = consumers.find(c => c.Level === ln.Level - 1 && c.Crafts > 0)
+        || consumers.find(c => c.Crafts > 0) || null;
+      parents.set(ln, parent);
+      byName.set(ln.Material, ln);
     }
-    return out.join('\n');
+    return parents;
   }
 
-  function renderLeafChecklist(lines) {
-    const leaves = {};
-    for (const ln of lines) {
-      const rec = Store.get(ln.Material);
-      const isLeaf = !rec || !rec.Ingredients || Object.keys(rec.Ingredients).length === 0;
-      if (!isLeaf) continue;
-      if (!leaves[ln.Material]) leaves[ln.Material] = { units: 0, yieldEff: ln.Yield > 0 ? ln.Yield : (rec?.Yield || 1), rec };
-      leaves[ln.Material].units += ln.UnitsRequested;
-      if (ln.Yield > 0) leaves[ln.Material].yieldEff = ln.Yield;
-    }
-    const rows = [];
-    for (const [name, v] of Object.entries(leaves)) {
-      const yieldEff = Math.max(1, v.yieldEff);
-      const crafts = Math.ceil(v.units / yieldEff);
-      const focus = crafts * (v.rec?.FocusCost || 0);
-      const time = crafts * Math.max(0, v.rec?.TimePerCraftSeconds || 0);
-      const action = v.rec?.IsMineable ? ((v.rec?.FocusCost || 0) > 0 ? 'Mine' : 'Gather') : 'Craft';
-      rows.push({ action, name, crafts, yieldEff, units: v.units, focus, time });
-    }
-    rows.sort((a, b) => (b.focus - a.focus) || a.action.localeCompare(b.action) || a.name.localeCompare(b.name));
-    leafTableBody.innerHTML = '';
-    for (const r of rows) {
-      const tr = document.createElement('tr');
-      tr.innerHTML = `
-        <td>${r.action}</td>
-        <td>${r.name}</td>
-        <td class="num">${r.crafts}</td>
-        <td class="num">${r.yieldEff}</td>
-        <td class="num">${r.units}</td>
-        <td class="num">${fmt2(r.focus)}</td>
-        <td>${r.time > 0 ? formatDuration(r.time) : ''}</td>`;
-      leafTableBody.appendChild(tr);
+  function renderTreeView() {
+    const lines = state.lastLines || [];
+    const scroll = treeOut.scrollTop;
+    treeOut.innerHTML = '';
+    renderOverrideChips();
+    treeFoldable = [];
+    if (!lines.length) return;
+    const totalFocus = lines.reduce((s, ln) => s + (ln.FocusUsed || 0), 0);
+    const totalTime = sumTimeSeconds(lines);
+    const parents = treeParents(lines);
+    const kids = new Map();
+    for (const [ln, parent] of parents) {
+      if (!kids.has(parent)) kids.set(parent, []);
+      kids.get(parent).push(ln);
     }
+    const subtree = ln => [ln, ...(kids.get(ln) || []).flatMap(subtree)];
+
+    const renderNode = (ln, parentUl, parentPath) => {
+      const path = parentPath ? `${parentPath} › ${ln.Material}` : ln.Material;
+      const children = kids.get(ln) || [];
+      const sub = subtree(ln);
+      const o = treeOverrides[ln.Material];
+
+      const li = document.createElement('li');
+      const row = document.createElement('div');
+      row.className = 'tree-node' + (o ? ' overridden' : '');
+
+      const toggle = document.createElement('button');
+      toggle.className = 'tree-toggle';
+      if (children.length) {
+        toggle.textContent = treeCollapsed.has(path) ? '▸' : '▾';
+        toggle.title = 'Fold / unfold';
+        toggle.addEventListener('click', () => {
+          const folded = li.classList.toggle('collapsed');
+          toggle.textContent = folded ? '▸' : '▾';
+          if (folded) treeCollapsed.add(path); else treeCollapsed.delete(path);
+        });
+      } else toggle.disabled = true;
+
+      const [main, ...extra] = describeLine(ln, showTimes.checked);
+      const label = document.createElement('span');
+      label.className = 'tree-label';
+      label.textContent = o?.buy && ln.Crafts === 0 ? `Buy ${ln.FromStock} ${ln.Material}` : main;
+      if (extra.length) {
+        const small = document.createElement('small');
+        small.className = 'muted';
+        small.textContent = ` · ${extra.join(' · ')}`;
+        label.appendChild(small);
+      }
+
+      const focus = sub.reduce((s, c) => s + (c.FocusUsed || 0), 0);
+      const pct = document.createElement('small');
+      pct.className = 'muted tree-pct';
+      pct.textContent = totalFocus > 0 ? `${Math.round(100 * focus / totalFocus)}%` : '';
+
+      row.append(toggle, label, shareBar(focus, totalFocus, 'the total Focus'));
+      if (showTimes.checked) row.appendChild(shareBar(sumTimeSeconds(sub), totalTime, 'the total time', 'time'));
+      row.append(pct, overrideSelect(ln.Material));
+      li.appendChild(row);
+      parentUl.appendChild(li);
+
+      if (children.length) {
+        treeFoldable.push(path);
+        const ul = document.createElement('ul');
+        li.appendChild(ul);
+        if (treeCollapsed.has(path)) li.classList.add('collapsed');
+        for (const c of children) renderNode(c, ul, path);
+      }
+    };
+
+    const root = document.createElement('ul');
+    for (const ln of kids.get(null) || []) renderNode(ln, root, '');
+    treeOut.appendChild(root);
+    treeOut.scrollTop = scroll;
   }
 
   function chip(text, cls) {
@@ -1445,7 +2963,7 @@ function effectiveTimePerCraft(rec, action){
     errors.style.display = '';
     errors.textContent = msg;
     summary.style.display = 'none';
-    treeOut.textContent = '{}';
+    treeOut.innerHTML = '';
     leafTableBody.innerHTML = '';
     summaryBadge.textContent = 'Error';
     if (distWrap) distWrap.innerHTML = '';
@@ -1453,6 +2971,11 @@ function effectiveTimePerCraft(rec, action){
   function hideError() { errors.style.display = 'none'; errors.textContent = ''; }
 
   // ----- UI wiring -----
+  // Chosen confidence level (0–1), or null for Safe/Avg/Opt only
+  function getConfidence() {
+    const v = Number(confidenceLevel?.value);
+    return confidenceLevel?.value && v > 0 && v < 1 ? v : null;
+  }
   function getCalcMode() {
     const r = calcModeRadios.find(x => x.checked);
     return r ? r.value : 'qty';
@@ -1465,9 +2988,11 @@ function effectiveTimePerCraft(rec, action){
     }
     const available = Number(availableFocusAll.value) || 0;
     const target = targetSelect.value;
-    const bestSafe = maxCraftable(target, available, YieldMode.Safe);
-    const bestAvg = maxCraftable(target, available, YieldMode.Avg);
-    const bestOpt = maxCraftable(target, available, YieldMode.Opt);
+    const stock = overrideStock(Inventory.stock());
+    const modes = overrideModes();
+    const bestSafe = maxCraftable(target, available, YieldMode.Safe, stock, modes);
+    const bestAvg = maxCraftable(target, available, YieldMode.Avg, stock, modes);
+    const bestOpt = maxCraftable(target, available, YieldMode.Opt, stock, modes);
     maxCraftablePreview.textContent = `Max: Safe ${bestSafe} / Avg ${bestAvg} / Opt ${bestOpt}`;
   }
 
@@ -1476,8 +3001,69 @@ function effectiveTimePerCraft(rec, action){
     const mode = getCalcMode();
     qtyWrap.style.display = mode === 'qty' ? '' : 'none';
     allWrap.style.display = mode === 'all' ? '' : 'none';
+    if (planWrap) planWrap.style.display = mode === 'plan' ? '' : 'none';
     updateAllPreview();
   }));
+
+  // ----- Production plan editor (saved locally)
+  const planKey = 'bp_plan_v1';
+  function loadPlanRows() {
+    try { const v = JSON.parse(localStorage.getItem(planKey) || '[]'); return Array.isArray(v) ? v : []; }
+    catch (e) { return []; }
+  }
+  function readPlan() {
+    return Array.from(planTableBody?.querySelectorAll('tr') || []).map(tr => ({
+      name: tr.querySelector('.plan-target').value,
+      qty: Number(tr.querySelector('.plan-qty').value)
+    }));
+  }
+  function savePlan() { localStorage.setItem(planKey, JSON.stringify(readPlan())); }
+  function addPlanRow(name = '', qty = 1) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><select class="plan-target"></select></td>
+      <td class="num"><input class="plan-qty" type="number" min="0" step="1"/></td>
+      <td><button class="btn small ghost removePlan">✕</button></td>`;
+    tr.querySelector('.plan-qty').value = qty;
+    const sel = tr.querySelector('.plan-target');
+    sel.dataset.value = name;
+    fillMaterialOptions(sel);
+    tr.querySelector('.removePlan').addEventListener('click', () => { tr.remove(); savePlan(); });
+    ['input', 'change'].forEach(ev => tr.addEventListener(ev, savePlan));
+    planTableBody.appendChild(tr);
+  }
+  function renderPlanRows(rows) {
+    if (!planTableBody) return;
+    planTableBody.innerHTML = '';
+    for (const r of rows) addPlanRow(r.name, r.qty);
+    if (!rows.length) addPlanRow();
+  }
+  btnAddPlanRow?.addEventListener('click', () => { addPlanRow(); savePlan(); });
+
+  // Renamed or merged materials: pickers, plan rows and tree overrides follow the new name.
+  // Runs before the Store's change notification, which rebuilds the pickers from dataset.value.
+  Store.onRename((from, to) => {
+    const selects = [targetSelect, ...(planTableBody?.querySelectorAll('.plan-target') || [])];
+    for (const sel of selects) {
+      if (!from.includes(sel.value)) continue;
+      sel.dataset.value = to;
+      sel.value = '';
+    }
+    const rows = loadPlanRows();
+    if (rows.some(r => from.includes(r.name))) {
+      localStorage.setItem(planKey, JSON.stringify(rows.map(r => from.includes(r.name) ? { ...r, name: to } : r)));
+    }
+    for (const name of from) {
+      const o = treeOverrides[name];
+      if (!o) continue;
+      delete treeOverrides[name];
+      const kept = treeOverrides[to] || {};
+      const have = (kept.have || 0) + (o.have || 0);
+      treeOverrides[to] = { ...o, ...kept, buy: kept.buy || o.buy, have };
+      for (const k of Object.keys(treeOverrides[to])) if (!treeOverrides[to][k]) delete treeOverrides[to][k];
+    }
+    renderOverrideChips();
+  });
   availableFocusAll.addEventListener('input', updateAllPreview);
   targetSelect.addEventListener('change', updateAllPreview);
 
@@ -1503,6 +3089,31 @@ function effectiveTimePerCraft(rec, action){
     }
   }
 
+  // Confidence-level totals, plus the odds for each top-level target:
+  // crafts needed at that confidence vs. the chance the Average plan's craft count gets there
+  function renderConfidence(conf, confRun, avgRun, available) {
+    const pct = `${Math.round(conf * 100)}%`;
+    const timeConf = sumTimeSeconds(confRun.lines);
+    focusChips.appendChild(chip(`🎯 ${pct} confidence: ${fmt2(confRun.totalFocus)} Focus`, confRun.totalFocus <= available ? 'ok' : 'err'));
+    timeChips.appendChild(chip(`🎯 ${pct} confidence: ${formatDuration(timeConf)}`));
+    for (const ln of confRun.lines.filter(l => l.Level === 0)) {
+      const need = ln.UnitsRequested - (ln.FromStock || 0);
+      if (need <= 0) continue;
+      const rec = lineRecipe(ln);
+      const dist = craftDistribution(rec, ln.Action);
+      const avgLine = avgRun.lines.find(l => l.Level === 0 && l.Material === ln.Material);
+      const pAvg = avgLine ? reachProbability(dist, avgLine.Crafts, need) : null;
+      focusChips.appendChild(chip(
+        `${ln.Material}: ${ln.Crafts} crafts for a ${pct} chance of ≥ ${need}` +
+        (pAvg != null ? ` · Avg plan's ${avgLine.Crafts} crafts: ${(pAvg * 100).toFixed(1)}%` : '')));
+    }
+  }
+
+  function renderSummaryPlan(targets, available, totalSafe, totalAvg, totalOpt, timeSafe, timeAvg, timeOpt) {
+    renderSummaryDesired('', 0, available, totalSafe, totalAvg, totalOpt, timeSafe, timeAvg, timeOpt);
+    summaryBadge.textContent = `Plan: ${targets.map(t => `${t.qty} ${t.name}`).join(' + ')}`;
+  }
+
   function renderSummaryAll(target, available, bestQtySafe, bestQtyAvg, bestQtyOpt, focusUsedSafe, timeSafe, timeAvg, timeOpt) {
     summary.style.display = '';
     summaryBadge.textContent = `Use all Focus on ${target}`;
@@ -1519,31 +3130,7 @@ function effectiveTimePerCraft(rec, action){
   }
 
   function exportCsv(target, qty, lines, totalFocus) {
-    const header = [
-      'Level', 'Action', 'Material', 'Crafts', 'Yield', 'UnitsRequested',
-      'FocusUsed', 'TimePerCraftSeconds', 'TimeUsedSeconds', 'TimeUsedFormatted'
-    ];
-    const rows = [header.join(',')];
-    for (const ln of lines) {
-      const r = Store.get(ln.Material) || {};
-      const tpc = nz(r.TimePerCraftSeconds, 0);
-      rows.push([
-        ln.Level,
-        csvEsc(ln.Action),
-        csvEsc(ln.Material),
-        ln.Crafts,
-        ln.Yield,
-        ln.UnitsRequested,
-        fmt2(ln.FocusUsed),
-        Math.round(tpc),
-        Math.round(ln.TimeUsedSeconds || 0),
-        csvEsc(formatDuration(ln.TimeUsedSeconds || 0))
-      ].join(','));
-    }
-    const totalSec = sumTimeSeconds(lines);
-    rows.push(['', '', '', '', '', 'Total Focus', fmt2(totalFocus), '', '', ''].join(','));
-    rows.push(['', '', '', '', '', 'Total Time (seconds)', Math.round(totalSec), '', csvEsc(formatDuration(totalSec))].join(','));
-    const blob = new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8' });
+    const blob = new Blob([engine().toCsv(lines, totalFocus)], { type: 'text/csv;charset=utf-8' });
     const a = document.createElement('a');
     a.href = URL.createObjectURL(blob);
     const safeName = target.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
@@ -1554,48 +3141,115 @@ function effectiveTimePerCraft(rec, action){
 
   // Events
   btnRefreshMaterials.addEventListener('click', updateMaterials);
+  function renderProfileSelect() {
+    if (!calcProfile) return;
+    calcProfile.innerHTML = '';
+    for (const p of Profile.list()) {
+      const opt = document.createElement('option');
+      opt.value = p.id; opt.textContent = p.name; opt.selected = p.active;
+      calcProfile.appendChild(opt);
+    }
+  }
+  calcProfile?.addEventListener('change', () => Profile.switchTo(calcProfile.value));
+  Profile.subscribe(renderProfileSelect);
+  renderProfileSelect();
+  ['change', 'input'].forEach(ev => {
+    routeObjectiveEl?.addEventListener(ev, () => { clearRouteCache(); if (routeWeightEl) routeWeightEl.disabled = routeObjectiveEl.value !== RouteObjective.Mix; });
+    routeWeightEl?.addEventListener(ev, clearRouteCache);
+  });
 
-  showTimes.addEventListener('change', () => {
-    treeOut.textContent = renderTree(state.lastLines || [], showTimes.checked);
+  showTimes.addEventListener('change', renderTreeView);
+  btnTreeExpand.addEventListener('click', () => { treeCollapsed.clear(); renderTreeView(); });
+  btnTreeCollapse.addEventListener('click', () => {
+    for (const path of treeFoldable) treeCollapsed.add(path);
+    renderTreeView();
+  });
+  btnClearOverrides.addEventListener('click', () => {
+    for (const name of Object.keys(treeOverrides)) delete treeOverrides[name];
+    btnCalc.click();
   });
 
   btnCalc.addEventListener('click', () => {
     hideError();
     try {
       if (!Store.count()) throw new Error('Load or build recipes first.');
-      const target = targetSelect.value;
-      if (!target) throw new Error('Pick a target material.');
       const calcMode = getCalcMode();
+      const target = targetSelect.value;
+      if (!target && calcMode !== 'plan') throw new Error('Pick a target material.');
+      // Tree overrides: extra/bought stock and per-material yield modes
+      const stock = overrideStock(Inventory.stock());
+      const modes = overrideModes();
+
+      if (calcMode === 'plan') {
+        const targets = readPlan().filter(t => t.name);
+        if (!targets.length) throw new Error('Add at least one target to the plan.');
+        if (targets.some(t => !isFiniteNum(t.qty) || t.qty < 0)) throw new Error('Plan quantities must be >= 0.');
+        const available = Number(availableFocusPlan?.value || 0);
+
+        const safeRun = calculatePlan(targets, YieldMode.Safe, stock, modes);
+        const avgRun = calculatePlan(targets, YieldMode.Avg, stock, modes);
+        const optRun = calculatePlan(targets, YieldMode.Opt, stock, modes);
+
+        const timeSafe = sumTimeSeconds(safeRun.lines);
+        const timeAvg = sumTimeSeconds(avgRun.lines);
+        const timeOpt = sumTimeSeconds(optRun.lines);
+        const conf = getConfidence();
+        const confRun = conf != null ? calculatePlan(targets, confidenceMode(conf), stock, modes) : null;
+        const shown = confRun || safeRun;
 
-      if (calcMode === 'all') {
+        state.lastLines = shown.lines;
+        state.lastRequest = { targets, mode: conf != null ? confidenceMode(conf) : YieldMode.Safe, stock, modes };
+        state.lastTotals = {
+          targets,
+          focusSafe: safeRun.totalFocus, focusAvg: avgRun.totalFocus, focusOpt: optRun.totalFocus,
+          timeSafe, timeAvg, timeOpt
+        };
+
+        renderSummaryPlan(targets, available, safeRun.totalFocus, avgRun.totalFocus, optRun.totalFocus, timeSafe, timeAvg, timeOpt);
+        if (confRun) renderConfidence(conf, confRun, avgRun, available);
+        renderTreeView();
+        renderLeafChecklist(state.lastLines);
+        renderDistributions(shown.lines);
+        renderStockResult(shown.lines, stock, shown.stockLeft);
+        renderRoutes(shown.lines, state.lastRequest.mode, modes);
+      } else if (calcMode === 'all') {
         const available = Number(availableFocusAll.value);
         if (!isFiniteNum(available) || available < 0) throw new Error('Enter available Focus.');
 
-        const bestSafe = maxCraftable(target, available, YieldMode.Safe);
-        const bestAvg = maxCraftable(target, available, YieldMode.Avg);
-        const bestOpt = maxCraftable(target, available, YieldMode.Opt);
+        const bestSafe = maxCraftable(target, available, YieldMode.Safe, stock, modes);
+        const bestAvg = maxCraftable(target, available, YieldMode.Avg, stock, modes);
+        const bestOpt = maxCraftable(target, available, YieldMode.Opt, stock, modes);
 
-        const safeRun = calculateFocus(target, bestSafe, YieldMode.Safe);
+        const safeRun = calculateFocus(target, bestSafe, YieldMode.Safe, stock, modes);
         const timeSafe = sumTimeSeconds(safeRun.lines);
         const focusUsedSafe = safeRun.totalFocus;
 
-        const avgRun = calculateFocus(target, bestAvg, YieldMode.Avg);
+        const avgRun = calculateFocus(target, bestAvg, YieldMode.Avg, stock, modes);
         const timeAvg = sumTimeSeconds(avgRun.lines);
 
-        const optRun = calculateFocus(target, bestOpt, YieldMode.Opt);
+        const optRun = calculateFocus(target, bestOpt, YieldMode.Opt, stock, modes);
         const timeOpt = sumTimeSeconds(optRun.lines);
 
         // Keep tree/checklist deterministic (Safe)
         state.lastLines = safeRun.lines;
+        state.lastRequest = { targets: [{ name: target, qty: bestSafe }], mode: YieldMode.Safe, stock, modes };
         state.lastTotals = {
           bestQtySafe: bestSafe, bestQtyAvg: bestAvg, bestQtyOpt: bestOpt,
           focusUsedSafe, timeSafe, timeAvg, timeOpt
         };
 
         renderSummaryAll(target, available, bestSafe, bestAvg, bestOpt, focusUsedSafe, timeSafe, timeAvg, timeOpt);
-        treeOut.textContent = renderTree(state.lastLines, showTimes.checked);
+        renderTreeView();
         renderLeafChecklist(state.lastLines);
         renderDistributions(safeRun.lines);
+        renderStockResult(safeRun.lines, stock, safeRun.stockLeft);
+        renderRoutes(safeRun.lines, YieldMode.Safe, modes);
+
+        const conf = getConfidence();
+        if (conf != null) {
+          const bestConf = maxCraftable(target, available, confidenceMode(conf), stock, modes);
+          focusChips.appendChild(chip(`🎯 Max craftable with ${Math.round(conf * 100)}% confidence: ${bestConf}`));
+        }
 
         // Also refresh the inline preview
         maxCraftablePreview.textContent = `Max: Safe ${bestSafe} / Avg ${bestAvg} / Opt ${bestOpt}`;
@@ -1604,31 +3258,650 @@ function effectiveTimePerCraft(rec, action){
         const available = Number(availableFocusQty.value || 0);
         if (!isFiniteNum(qty) || qty < 0) throw new Error('Enter desired quantity (>= 0).');
 
-        const safeRun = calculateFocus(target, qty, YieldMode.Safe);
-        const avgRun = calculateFocus(target, qty, YieldMode.Avg);
-        const optRun = calculateFocus(target, qty, YieldMode.Opt);
+        const safeRun = calculateFocus(target, qty, YieldMode.Safe, stock, modes);
+        const avgRun = calculateFocus(target, qty, YieldMode.Avg, stock, modes);
+        const optRun = calculateFocus(target, qty, YieldMode.Opt, stock, modes);
 
         const timeSafe = sumTimeSeconds(safeRun.lines);
         const timeAvg = sumTimeSeconds(avgRun.lines);
         const timeOpt = sumTimeSeconds(optRun.lines);
+        const conf = getConfidence();
+        const confRun = conf != null ? calculateFocus(target, qty, confidenceMode(conf), stock, modes) : null;
+        // Keep tree/checklist deterministic (Safe, or the chosen confidence level)
+        const shown = confRun || safeRun;
 
-        // Keep tree/checklist deterministic (Safe)
-        state.lastLines = safeRun.lines;
+        state.lastLines = shown.lines;
+        state.lastRequest = { targets: [{ name: target, qty }], mode: conf != null ? confidenceMode(conf) : YieldMode.Safe, stock, modes };
         state.lastTotals = {
           focusSafe: safeRun.totalFocus, focusAvg: avgRun.totalFocus, focusOpt: optRun.totalFocus,
           timeSafe, timeAvg, timeOpt
         };
 
         renderSummaryDesired(target, qty, available, safeRun.totalFocus, avgRun.totalFocus, optRun.totalFocus, timeSafe, timeAvg, timeOpt);
-        treeOut.textContent = renderTree(state.lastLines, showTimes.checked);
+        if (confRun) renderConfidence(conf, confRun, avgRun, available);
+        renderTreeView();
         renderLeafChecklist(state.lastLines);
-        renderDistributions(safeRun.lines);
+        renderDistributions(shown.lines);
+        renderStockResult(shown.lines, stock, shown.stockLeft);
+        renderRoutes(shown.lines, state.lastRequest.mode, modes);
       }
+      renderMarket();
     } catch (e) { showError(String(e.message || e)); }
   });
 
+  // ----- Simulation -----
+  // Targets and Focus budget of whatever the calculator is set up for
+  function currentTargets() {
+    const mode = getCalcMode();
+    if (mode === 'plan') {
+      const targets = readPlan().filter(t => t.name && isFiniteNum(t.qty) && t.qty > 0);
+      if (!targets.length) throw new Error('Add at least one target to the plan.');
+      return targets;
+    }
+    const target = targetSelect.value;
+    if (!target) throw new Error('Pick a target material.');
+    if (mode === 'all') {
+      if (state.lastTotals?.bestQtyAvg == null) throw new Error('Calculate first to find how many you can craft.');
+      return [{ name: target, qty: state.lastTotals.bestQtyAvg }];
+    }
+    const qty = Number(desiredQty.value || 1);
+    if (!isFiniteNum(qty) || qty < 0) throw new Error('Enter desired quantity (>= 0).');
+    return [{ name: target, qty }];
+  }
+  function currentAvailableFocus() {
+    const mode = getCalcMode();
+    const el = mode === 'plan' ? availableFocusPlan : (mode === 'all' ? availableFocusAll : availableFocusQty);
+    const v = Number(el?.value);
+    return el?.value !== '' && isFiniteNum(v) ? v : null;
+  }
+
+  async function runSimulation() {
+    simOut.innerHTML = '';
+    btnSimulate.disabled = true;
+    try {
+      const runs = clamp(Math.round(Number(simRuns.value) || 2000), 100, 50000);
+      const targets = currentTargets();
+      const available = currentAvailableFocus();
+      const progress = chip(`Simulating… 0 / ${runs} runs`);
+      simOut.appendChild(progress);
+      const sim = await simulatePlan(targets, runs, overrideStock(Inventory.stock()), overrideModes(), done => {
+        progress.textContent = `Simulating… ${done} / ${runs} runs (${Math.round(done / runs * 100)}%)`;
+      });
+      simOut.innerHTML = '';
+
+      const f = q => fmt2(percentile(sim.focus, q));
+      const t = q => formatDuration(percentile(sim.time, q));
+      simOut.appendChild(chip(`${runs} runs of ${targets.map(x => `${x.qty} ${x.name}`).join(' + ')}`));
+      simOut.appendChild(chip(`Focus: mean ${fmt2(mean(sim.focus))} · P50 ${f(0.5)} · P90 ${f(0.9)} · P99 ${f(0.99)}`));
+      simOut.appendChild(chip(`Time: mean ${formatDuration(mean(sim.time))} · P50 ${t(0.5)} · P90 ${t(0.9)} · P99 ${t(0.99)}`));
+      if (available != null) {
+        let within = 0;
+        for (const v of sim.focus) if (v <= available + 1e-9) within++;
+        const pct = within / runs * 100;
+        simOut.appendChild(chip(`Chance to finish within ${fmt2(available)} Focus: ${pct.toFixed(1)}%`, pct >= 90 ? 'ok' : (pct >= 50 ? 'warn' : 'err')));
+      }
+      drawHistogram(simHistFocus, sim.focus, { marker: available, label: v => fmt2(v) });
+      drawHistogram(simHistTime, sim.time, { label: v => formatDuration(v) });
+      simCharts.style.display = '';
+    } catch (e) {
+      simCharts.style.display = 'none';
+      simOut.innerHTML = '';
+      simOut.appendChild(chip(String(e.message || e), 'err'));
+    } finally {
+      btnSimulate.disabled = false;
+    }
+  }
+  btnSimulate?.addEventListener('click', runSimulation);
+
+  // ----- Focus schedule: the last calculation split into sessions as Focus regenerates -----
+  const poolInputs = { current: poolCurrent, cap: poolCap, regenPerHour: poolRegen, everyHours: poolEvery };
+  function formatHours(h) {
+    const mins = Math.round(h * 60);
+    const d = Math.floor(mins / 1440), hh = Math.floor(mins % 1440 / 60), mm = mins % 60;
+    return `${d ? `${d}d ` : ''}${hh}h ${String(mm).padStart(2, '0')}m`;
+  }
+  const clockAt = h => new Date(Date.now() + h * 3600e3).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+  function runSchedule() {
+    if (!scheduleTableBody) return;
+    scheduleTableBody.innerHTML = '';
+    scheduleOut.innerHTML = '';
+    try {
+      if (!state.lastLines?.length) throw new Error('Calculate first; the schedule splits the last calculation.');
+      const pool = FocusPool.get();
+      if (pool.current == null) pool.current = currentAvailableFocus() ?? 0;
+      if (!(pool.cap > 0)) throw new Error('Enter your Focus cap.');
+      const plan = focusSchedule(state.lastLines, pool);
+      const done = plan.finishAt > 0 ? `Done in ${formatHours(plan.finishAt)} (${clockAt(plan.finishAt)})` : 'Done now';
+      scheduleOut.appendChild(chip(`${done} · ${plan.sessions.length} session${plan.sessions.length === 1 ? '' : 's'}`, 'ok'));
+      scheduleOut.appendChild(chip(`${fmt2(plan.focusNeeded)} Focus needed · ${fmt2(pool.current)} now · +${fmt2(pool.regenPerHour || 0)}/h up to ${fmt2(pool.cap)}`));
+      for (const ses of plan.sessions) {
+        const tr = document.createElement('tr');
+        const steps = ses.steps.map(st => escapeHtml(`${st.action} ${st.crafts}x ${st.material}${st.variant ? ` [via ${st.variant}]` : ''}`));
+        tr.innerHTML = `
+          <td>${Math.floor(ses.at / 24) + 1}</td>
+          <td>${ses.at > 0 ? clockAt(ses.at) : 'Now'}</td>
+          <td class="num">${fmt2(ses.focusBefore)} → ${fmt2(ses.focusAfter)}</td>
+          <td>${steps.join('; ')}</td>`;
+        scheduleTableBody.appendChild(tr);
+      }
+    } catch (e) {
+      scheduleOut.appendChild(chip(String(e.message || e), 'err'));
+    }
+  }
+  function renderPoolInputs() {
+    const pool = FocusPool.get();
+    for (const [k, el] of Object.entries(poolInputs)) if (el && document.activeElement !== el) el.value = pool[k] ?? '';
+  }
+  for (const [k, el] of Object.entries(poolInputs)) el?.addEventListener('change', () => FocusPool.set({ [k]: el.value }));
+  FocusPool.subscribe(renderPoolInputs);
+  renderPoolInputs();
+  btnSchedule?.addEventListener('click', runSchedule);
+
+  // ----- Execute plan: tick off the last calculation's steps as they are done in game -----
+  function startSession() {
+    if (!state.lastRequest || !state.lastLines?.length) { showError('Calculate first, then start executing the plan.'); return; }
+    if (Session.active() && !confirm('Replace the plan being executed (and its progress)?')) return;
+    const { targets, mode, stock, modes } = state.lastRequest;
+    // Ingredients first: lines are consumer-first
+    const steps = state.lastLines.filter(ln => ln.Crafts > 0).reverse().map(ln => ({
+      material: ln.Material, variant: ln.Variant || null, action: ln.Action, crafts: ln.Crafts, yield: ln.Yield
+    }));
+    Session.start({ targets, mode, modes, stock, steps });
+  }
+
+  function renderSession() {
+    if (!sessionTableBody) return;
+    sessionTableBody.innerHTML = '';
+    sessionOut.innerHTML = '';
+    const ses = Session.get();
+    btnEndSession.disabled = !ses;
+    if (!ses) {
+      sessionOut.appendChild(chip('No plan in progress. Calculate, then start executing it here.'));
+      return;
+    }
+    if (!Store.count()) return;
+    try {
+      const { run } = engine().remainingPlan(ses.targets, ses.mode, ses.stock, ses.modes, ses.progress);
+      const todo = {};
+      for (const ln of run.lines) todo[ln.Material] = (todo[ln.Material] || 0) + ln.Crafts;
+      const finished = ses.steps.filter(st => !todo[st.material]).length;
+      const done = finished === ses.steps.length;
+      sessionOut.appendChild(chip(`${ses.targets.map(t => `${t.qty} ${t.name}`).join(' + ')} · started ${new Date(ses.startedAt).toLocaleString()}`));
+      sessionOut.appendChild(chip(`${finished} of ${ses.steps.length} steps done`, done ? 'ok' : ''));
+      sessionOut.appendChild(chip(done ? 'Plan complete' : `Remaining: ${fmt2(run.totalFocus)} Focus · ${formatDuration(sumTimeSeconds(run.lines))}`, done ? 'ok' : ''));
+
+      for (const st of ses.steps) {
+        const p = ses.progress[st.material] || { crafts: 0, units: 0 };
+        const left = todo[st.material] || 0;
+        const tr = document.createElement('tr');
+        if (!left) tr.className = 'muted';
+        tr.innerHTML = `
+          <td><input type="checkbox" ${!left ? 'checked' : ''} title="Mark as done" /></td>
+          <td>${st.action} ${escapeHtml(st.material)}${st.variant ? ` <small class="muted">[via ${escapeHtml(st.variant)}]</small>` : ''}</td>
+          <td class="num">${st.crafts}</td>
+          <td class="num"><input class="ses-crafts" type="number" min="0" step="1" value="${p.crafts || ''}" /></td>
+          <td class="num"><input class="ses-units" type="number" min="0" step="any" value="${p.units || ''}" /></td>
+          <td class="num">${left || '✓'}</td>`;
+        const [tick, craftsEl, unitsEl] = tr.querySelectorAll('input');
+        tick.addEventListener('change', () => {
+          // Ticking counts the planned crafts at the planned yield; unticking clears the step
+          if (tick.checked) {
+            const crafts = p.crafts + left;
+            Session.setProgress(st.material, { crafts, units: Math.max(p.units, crafts * st.yield), variant: st.variant });
+          } else Session.setProgress(st.material, { crafts: 0, units: 0 });
+        });
+        craftsEl.addEventListener('change', () => {
+          const crafts = Number(craftsEl.value) || 0;
+          // Units follow the crafts at the planned yield until they are entered by hand
+          const units = p.units === p.crafts * st.yield ? crafts * st.yield : p.units;
+          Session.setProgress(st.material, { crafts, units, variant: st.variant });
+        });
+        unitsEl.addEventListener('change', () => Session.setProgress(st.material, { crafts: p.crafts, units: unitsEl.value, variant: st.variant }));
+        sessionTableBody.appendChild(tr);
+      }
+    } catch (e) {
+      sessionOut.appendChild(chip(String(e.message || e), 'err'));
+    }
+  }
+  btnStartSession?.addEventListener('click', startSession);
+  btnEndSession?.addEventListener('click', () => { if (confirm('End this session and forget its progress?')) Session.clear(); });
+  Session.subscribe(renderSession);
+  Store.subscribe(renderSession);
+  // Focus costs and yields of the remaining steps follow the active profile and mastery rules
+  Profile.subscribe(renderSession);
+  MasteryRules.subscribe(renderSession);
+  recipesReady.then(renderSession);
+
+  // ----- Mastery upgrade advisor -----
+  // Every mastery's next level (in its listed order), one at a time, recomputed over the current
+  // targets with expected (Average) yields; ranked by Focus saved, then time saved.
+  function masteryUpgrades(targets, stock, modes = null) {
+    const totals = () => {
+      clearRouteCache(); // routes depend on masteries too
+      const run = calculatePlan(targets, YieldMode.Avg, stock ? { ...stock } : null, modes);
+      return { focus: run.totalFocus, time: sumTimeSeconds(run.lines), skills: new Set(run.lines.map(l => lineRecipe(l)?.LifeSkill)) };
+    };
+    const base = totals();
+    const current = Profile._state().masteries || {};
+    const out = [];
+    try {
+      for (const [skill, list] of Object.entries(MasteryRules.get())) {
+        for (const m of list) {
+          // Skip skills the plan never touches unless a rule reaches across skills
+          if (!base.skills.has(skill) && !m.rules.some(r => r.match.skills)) continue;
+          const lvl = Number(current[skill]?.[m.key] || 0);
+          const at = m.levels.findIndex(l => l.v === lvl);
+          const next = m.levels[at + 1];
+          if (!next) continue;
+          const masteries = { ...current, [skill]: { ...(current[skill] || {}), [m.key]: next.v } };
+          const t = Profile.preview(masteries, totals);
+          out.push({
+            skill, mastery: m.legend,
+            from: at >= 0 ? m.levels[at].label : String(lvl), to: next.label,
+            focusSaved: base.focus - t.focus, timeSaved: base.time - t.time
+          });
+        }
+      }
+    } finally { clearRouteCache(); }
+    out.sort((a, b) => (b.focusSaved - a.focusSaved) || (b.timeSaved - a.timeSaved));
+    return { base, upgrades: out };
+  }
+
+  function runAdvisor() {
+    if (!advisorTableBody) return;
+    advisorTableBody.innerHTML = '';
+    advisorOut.innerHTML = '';
+    try {
+      if (!Store.count()) throw new Error('Load or build recipes first.');
+      const targets = currentTargets();
+      const { base, upgrades } = masteryUpgrades(targets, overrideStock(Inventory.stock()), overrideModes());
+      advisorOut.appendChild(chip(`${Profile.activeName()}: ${targets.map(x => `${x.qty} ${x.name}`).join(' + ')} · ${fmt2(base.focus)} Focus · ${formatDuration(base.time)} (Avg)`));
+      const pct = (saved, total) => total > 0 ? `${(saved / total * 100).toFixed(1)}%` : '—';
+      const useful = upgrades.filter(u => u.focusSaved > 1e-9 || u.timeSaved > 1e-9);
+      for (const u of useful) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td>${escapeHtml(u.skill)}</td>
+          <td>${escapeHtml(u.mastery)}</td>
+          <td>${u.from} → ${u.to}</td>
+          <td class="num">${fmt2(u.focusSaved)}</td>
+          <td class="num">${pct(u.focusSaved, base.focus)}</td>
+          <td class="num">${formatDuration(u.timeSaved)}</td>
+          <td class="num">${pct(u.timeSaved, base.time)}</td>`;
+        advisorTableBody.appendChild(tr);
+      }
+      if (!useful.length) advisorTableBody.innerHTML = '<tr><td colspan="7" class="muted">No next mastery level changes this plan.</td></tr>';
+      const idle = upgrades.length - useful.length;
+      if (idle) advisorOut.appendChild(chip(`${idle} other upgrade${idle > 1 ? 's' : ''} would not change this plan`));
+    } catch (e) {
+      advisorOut.appendChild(chip(String(e.message || e), 'err'));
+    }
+  }
+  btnAdvisor?.addEventListener('click', runAdvisor);
+
+  // ----- Reverse calculator: most of the target the Inventory (and a Focus budget) allows -----
+  function runBag() {
+    if (!bagTableBody) return;
+    bagTableBody.innerHTML = '';
+    bagOut.innerHTML = '';
+    try {
+      if (!Store.count()) throw new Error('Load or build recipes first.');
+      const target = targetSelect.value;
+      if (!target) throw new Error('Pick a target material.');
+      const bag = Inventory.items();
+      if (!Object.keys(bag).length) throw new Error('The Inventory is empty; add what is in your bag first.');
+      const focus = bagFocus.value === '' ? null : Number(bagFocus.value);
+      if (focus != null && !(focus >= 0)) throw new Error('Focus budget must be a non-negative number.');
+      const mode = bagMode.value || YieldMode.Safe;
+
+      const found = engine().maxFromBag(target, bag, focus, mode);
+      if (found.unbounded) throw new Error(`Nothing in the bag limits ${target}; it needs no raw materials.`);
+      bagOut.appendChild(chip(`Max ${found.qty} × ${target} · ${fmt2(found.run.totalFocus)} Focus (${MODE_LABELS[mode]})`, found.qty > 0 ? 'ok' : 'warn'));
+      for (const l of found.limits) {
+        bagOut.appendChild(chip(l.name === 'Focus'
+          ? `Limited by Focus: one more needs ${fmt2(l.need)} of ${fmt2(l.have)}`
+          : `Limited by ${l.name}: one more needs ${l.need}, bag has ${l.have}`, 'warn'));
+      }
+      if (Number.isFinite(found.focusLeft)) bagOut.appendChild(chip(`${fmt2(found.focusLeft)} Focus left`));
+
+      const used = {};
+      for (const ln of found.run.lines) if (ln.FromStock > 0) used[ln.Material] = (used[ln.Material] || 0) + ln.FromStock;
+      const rows = Object.keys(bag).sort((a, b) => (used[b] || 0) - (used[a] || 0) || a.localeCompare(b));
+      for (const name of rows) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td>${escapeHtml(name)}</td>
+          <td class="num">${bag[name]}</td>
+          <td class="num">${used[name] || ''}</td>
+          <td class="num">${found.run.stockLeft?.[name] ?? bag[name]}</td>`;
+        bagTableBody.appendChild(tr);
+      }
+    } catch (e) {
+      bagOut.appendChild(chip(String(e.message || e), 'err'));
+    }
+  }
+  btnBag?.addEventListener('click', runBag);
+
+  // ----- Optimiser: the mix of products with a sell price worth the most within the budgets -----
+  function runOptimizer() {
+    if (!optTableBody) return;
+    optTableBody.innerHTML = '';
+    optOut.innerHTML = '';
+    try {
+      if (!Store.count()) throw new Error('Load or build recipes first.');
+      const budget = (el, what) => {
+        if (el.value === '') return null;
+        const v = Number(el.value);
+        if (!(v >= 0)) throw new Error(`${what} must be a non-negative number.`);
+        return v;
+      };
+      const focus = budget(optFocus, 'Focus budget');
+      const hours = budget(optHours, 'Time budget');
+      const bag = optUseBag.checked ? Inventory.items() : null;
+      const products = Store.allNames()
+        .map(name => ({ name, value: Prices.sell(name) || 0 }))
+        .filter(p => p.value > 0);
+      if (!products.length) throw new Error('Enter sell prices (Market prices) for the products to choose from.');
+      const mode = optMode.value || YieldMode.Avg;
+
+      const mix = engine().optimizeMix(products, { focus, time: hours == null ? null : hours * 3600, bag }, mode);
+      const picked = mix.targets.filter(t => t.qty > 0);
+      optOut.appendChild(chip(`${mix.exact ? 'Best mix' : 'Best mix found (approximate)'}: value ${fmt2(mix.totalValue)} · ${fmt2(mix.run.totalFocus)} Focus · ${formatDuration(mix.time)} (${MODE_LABELS[mode]})`, picked.length ? 'ok' : 'warn'));
+      if (!mix.exact) optOut.appendChild(chip('Too many products to check every mix; a better one may exist. Clear the sell prices of products you would not craft to narrow it down.', 'warn'));
+      if (mix.unlimited.length) optOut.appendChild(chip(`Left out, no budget limits them: ${mix.unlimited.join(', ')}`, 'warn'));
+      for (const b of mix.binding) {
+        const text = b.name === 'Focus' ? `Focus ${fmt2(b.used)} / ${fmt2(b.limit)}`
+          : b.name === 'Time' ? `Time ${formatDuration(b.used)} / ${formatDuration(b.limit)}`
+          : `${b.name} ${b.used} / ${b.limit} in bag`;
+        optOut.appendChild(chip(`Binding: ${text}`, 'warn'));
+      }
+      const rows = [...mix.targets].sort((a, b) => (b.qty * b.value - a.qty * a.value) || a.name.localeCompare(b.name));
+      for (const t of rows) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td>${escapeHtml(t.name)}</td>
+          <td class="num">${fmt2(t.value)}</td>
+          <td class="num">${t.qty || ''}</td>
+          <td class="num">${t.qty ? fmt2(t.qty * t.value) : ''}</td>
+          <td class="muted">${mix.unlimited.includes(t.name) ? 'no budget limits it' : escapeHtml(t.blockedBy.join(', '))}</td>`;
+        optTableBody.appendChild(tr);
+      }
+    } catch (e) {
+      optOut.appendChild(chip(String(e.message || e), 'err'));
+    }
+  }
+  btnOptimize?.addEventListener('click', runOptimizer);
+
+  for (const [sel, initial] of [[bagMode, YieldMode.Safe], [optMode, YieldMode.Avg]]) {
+    if (!sel) continue;
+    for (const [m, label] of Object.entries(MODE_LABELS)) {
+      const opt = document.createElement('option');
+      opt.value = m; opt.textContent = label;
+      sel.appendChild(opt);
+    }
+    sel.value = initial;
+  }
+
+  // ----- Share links: calculator state in the URL hash (#calc=<base64url JSON>) -----
+  // Every recipe (with its routes) the targets depend on, for links that carry their recipes
+  function recipesFor(names) {
+    const out = {};
+    const visit = name => {
+      const rec = Store.get(name);
+      if (!rec || out[name]) return;
+      out[name] = rec;
+      for (const v of Store.variants(name)) Object.keys(v.Ingredients || {}).forEach(visit);
+    };
+    names.forEach(visit);
+    return Object.values(out);
+  }
+
+  function shareState() {
+    const mode = getCalcMode();
+    const data = { v: 1, mode, target: targetSelect.value };
+    if (mode === 'qty') { data.qty = Number(desiredQty.value || 1); data.focus = availableFocusQty.value; }
+    if (mode === 'all') data.focus = availableFocusAll.value;
+    if (mode === 'plan') { data.plan = readPlan().filter(t => t.name); data.focus = availableFocusPlan?.value; }
+    if (getConfidence() != null) data.conf = getConfidence();
+    const p = JSON.parse(Profile.exportJson());
+    data.profile = { name: p.name, masteries: p.masteries };
+    if (shareRecipes?.checked) {
+      data.recipes = recipesFor(mode === 'plan' ? data.plan.map(t => t.name) : [data.target]);
+    }
+    return data;
+  }
+
+  async function copyShareLink() {
+    try {
+      const data = shareState();
+      if (data.mode !== 'plan' && !data.target) throw new Error('Pick a target material first.');
+      const url = `${location.href.split('#')[0]}#calc=${b64urlEncode(JSON.stringify(data))}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        setShareStatus(`Link copied (${url.length} chars)`, 'ok');
+      } catch (e) {
+        prompt('Copy this link:', url);
+        setShareStatus(`Link ready (${url.length} chars)`, 'ok');
+      }
+    } catch (e) { setShareStatus(String(e.message || e), 'err'); }
+  }
+  function setShareStatus(text, cls) {
+    if (!shareStatus) return;
+    shareStatus.textContent = text;
+    shareStatus.className = `pill ${cls}`;
+    shareStatus.style.display = '';
+  }
+
+  // Opening a link: merge its recipes (if any, after asking), pick or add its profile,
+  // fill the calculator and run it. The hash is cleared first so a reload does not apply it again.
+  function applyShareLink(hash) {
+    if (!String(hash || '').startsWith('#calc=')) return;
+    history.replaceState(null, '', location.pathname + location.search);
+    let data, incoming = null;
+    try {
+      data = JSON.parse(b64urlDecode(hash.slice(6)));
+      if (data && data.v === 1 && Array.isArray(data.recipes) && data.recipes.length) incoming = Store.parse(data.recipes).map;
+    } catch (e) { showError('This share link is damaged or incomplete.'); return; }
+    if (!data || data.v !== 1) { showError('This share link comes from a newer version of the tool.'); return; }
+
+    if (incoming) {
+      const d = Store.diff(incoming);
+      const n = d.added.length + d.changed.length;
+      const names = list => list.slice(0, 12).join(', ') + (list.length > 12 ? ` and ${list.length - 12} more` : '');
+      const parts = [`This link carries ${data.recipes.length} recipes: ${d.added.length} new and ${d.changed.length} different from yours.`];
+      if (d.added.length) parts.push(`New: ${names(d.added)}`);
+      if (d.changed.length) parts.push(`Different: ${names(d.changed.map(c => c.name))}`);
+      parts.push('Use them? (You can undo this in the Builder.)');
+      if (n && confirm(parts.join('\n\n'))) {
+        Store.merge(incoming, Object.fromEntries(d.changed.map(c => [c.name, 'theirs'])), 'Merged recipes from a shared link');
+      }
+    }
+
+    if (data.profile?.masteries) {
+      const same = Profile.list().find(p => p.name === data.profile.name
+        && JSON.stringify(JSON.parse(Profile.exportJson(p.id)).masteries) === JSON.stringify(data.profile.masteries));
+      if (same) Profile.switchTo(same.id);
+      else Profile.importJson(JSON.stringify(data.profile));
+    }
+
+    const radio = calcModeRadios.find(r => r.value === data.mode) || calcModeRadios[0];
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change'));
+    if (data.target) targetSelect.value = data.target;
+    if (data.mode === 'qty') { desiredQty.value = data.qty ?? 1; availableFocusQty.value = data.focus ?? ''; }
+    if (data.mode === 'all') availableFocusAll.value = data.focus ?? '';
+    if (data.mode === 'plan') {
+      // Only rows naming a known material with a positive quantity
+      const rows = (Array.isArray(data.plan) ? data.plan : []).filter(r =>
+        typeof r?.name === 'string' && Store.get(r.name) && typeof r.qty === 'number' && Number.isFinite(r.qty) && r.qty > 0);
+      renderPlanRows(rows.map(r => ({ name: r.name, qty: r.qty })));
+      savePlan();
+      if (availableFocusPlan) availableFocusPlan.value = data.focus ?? '';
+    }
+    if (confidenceLevel) confidenceLevel.value = data.conf != null ? String(data.conf) : '';
+    $('.tab[data-tab="calculator"]')?.click();
+    btnCalc.click();
+  }
+
+  btnShareLink?.addEventListener('click', copyShareLink);
+  window.addEventListener('hashchange', () => {
+    try { applyShareLink(location.hash); } catch (e) { showError(`Could not open the share link: ${e.message || e}`); }
+  });
+  recipesReady
+    .then(() => applyShareLink(location.hash))
+    .catch(e => showError(`Could not open the share link: ${e.message || e}`));
+
+  // ----- Market: make vs buy, profit -----
+  // Per-unit coin cost of making a material with Average yields, buying any ingredient that is
+  // cheaper to buy than to make. Making is charged its coin plus its Focus at Prices.focusValue(),
+  // so gathering (no coin) is not free. Focus and time per unit count only what is made.
+  // Memoised per call via `memo`, except results reached through a cycle: those depend on
+  // the path that got there (as in the engine's routeInfo).
+  function marketUnit(name, memo, visiting = new Set()) {
+    if (memo[name]) return memo[name];
+    const buy = Prices.buy(name);
+    const rec = recipeFor(name, YieldMode.Avg);
+    let make = Infinity, focus = 0, time = 0, cyclic = false;
+    if (rec && visiting.has(name)) cyclic = true;
+    else if (rec) {
+      visiting.add(name);
+      const action = actionFor(rec);
+      const y = applyAllYieldMods(rec, action, effectiveYield(rec, YieldMode.Avg));
+      if (y > 0) {
+        make = 0;
+        focus = rec.FocusCost || 0;
+        time = effectiveTimePerCraft(rec, action);
+        for (const [ing, q] of Object.entries(rec.Ingredients || {})) {
+          const u = marketUnit(ing, memo, visiting);
+          if (u.cyclic) cyclic = true;
+          make += q * u.cost;
+          if (u.decision === 'Make') { focus += q * u.focus; time += q * u.time; }
+        }
+        make /= y; focus /= y; time /= y;
+      }
+      visiting.delete(name);
+    }
+    const decision = buy != null && buy < make + focus * Prices.focusValue() ? 'Buy' : (Number.isFinite(make) ? 'Make' : 'Missing');
+    const out = {
+      buy, make, decision,
+      cost: decision === 'Buy' ? buy : make,
+      focus: decision === 'Make' ? focus : 0,
+      time: decision === 'Make' ? time : 0,
+      makeFocus: focus, makeTime: time, cyclic
+    };
+    if (!cyclic) memo[name] = out;
+    return out;
+  }
+
+  // Profit of making `targets`: bought materials are treated as an unlimited stock, so the
+  // tree stops at them; inventory is ignored (owned stock has a market value too).
+  function marketPlan(targets) {
+    const memo = {};
+    const targetNames = new Set(targets.map(t => t.name));
+    const bought = {};
+    for (const name of Store.allNames()) {
+      if (!targetNames.has(name) && marketUnit(name, memo).decision === 'Buy') bought[name] = Infinity;
+    }
+    const run = calculatePlan(targets, YieldMode.Avg, bought);
+    let spend = 0;
+    for (const ln of run.lines) if (ln.FromStock) spend += ln.FromStock * Prices.buy(ln.Material);
+    let revenue = 0;
+    const unsold = [];
+    for (const t of targets) {
+      const sell = Prices.sell(t.name);
+      if (sell == null) unsold.push(t.name); else revenue += t.qty * sell;
+    }
+    const focus = run.totalFocus;
+    const time = sumTimeSeconds(run.lines);
+    const profit = revenue - spend;
+    return { run, memo, revenue, spend, profit, focus, time, unsold };
+  }
+
+  function renderMarket() {
+    if (!marketOut) return;
+    marketOut.innerHTML = '';
+    if (marketTableBody) marketTableBody.innerHTML = '';
+    let targets;
+    try { targets = currentTargets(); } catch (e) { return; }
+    try {
+      const m = marketPlan(targets);
+      const perFocus = m.focus > 0 ? fmt2(m.profit / m.focus) : '—';
+      const perHour = m.time > 0 ? fmt2(m.profit / (m.time / 3600)) : '—';
+      marketOut.appendChild(chip(`Revenue ${fmt2(m.revenue)} − bought materials ${fmt2(m.spend)} = profit ${fmt2(m.profit)}`, m.profit >= 0 ? 'ok' : 'err'));
+      marketOut.appendChild(chip(`Profit / Focus: ${perFocus} · Profit / hour: ${perHour}`));
+      marketOut.appendChild(chip(`Focus ${fmt2(m.focus)} · Time ${formatDuration(m.time)} (Avg, buying where cheaper)`));
+      if (m.unsold.length) marketOut.appendChild(chip(`No sell price: ${m.unsold.join(', ')}`, 'warn'));
+      const seen = new Set();
+      for (const ln of m.run.lines) {
+        if (seen.has(ln.Material)) continue;
+        seen.add(ln.Material);
+        const u = m.memo[ln.Material] || marketUnit(ln.Material, m.memo);
+        const units = m.run.lines.filter(l => l.Material === ln.Material).reduce((n, l) => n + l.UnitsRequested, 0);
+        const money = v => v == null || !Number.isFinite(v) ? '—' : fmt2(v);
+        const isTarget = targets.some(t => t.name === ln.Material);
+        const decision = isTarget ? 'Make (target)' : u.decision;
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td>${'&nbsp;&nbsp;'.repeat(ln.Level)}${escapeHtml(ln.Material)}</td>
+          <td class="num">${units}</td>
+          <td class="num">${money(u.make + u.makeFocus * Prices.focusValue())}</td>
+          <td class="num">${money(u.buy)}</td>
+          <td class="${decision === 'Buy' ? 'ok' : ''}">${decision}</td>
+          <td class="num">${decision === 'Buy' ? fmt2(u.buy * units) : '—'}</td>`;
+        marketTableBody?.appendChild(tr);
+      }
+    } catch (e) {
+      marketOut.appendChild(chip(String(e.message || e), 'err'));
+    }
+  }
+
+  // Every recipe with a sell price, ranked by profit per Focus (or per hour / per unit).
+  // The cost counts the Focus spent at Prices.focusValue(), as make vs. buy does.
+  function renderMarketRanking() {
+    if (!rankTableBody) return;
+    rankTableBody.innerHTML = '';
+    const memo = {};
+    const rows = [];
+    for (const name of Store.allNames()) {
+      const sell = Prices.sell(name);
+      if (sell == null) continue;
+      const u = marketUnit(name, memo);
+      if (!Number.isFinite(u.make)) continue;
+      const cost = u.make + u.makeFocus * Prices.focusValue();
+      const profit = sell - cost;
+      rows.push({
+        name, sell, cost, profit,
+        perFocus: u.makeFocus > 0 ? profit / u.makeFocus : (profit > 0 ? Infinity : profit),
+        perHour: u.makeTime > 0 ? profit / (u.makeTime / 3600) : null
+      });
+    }
+    const by = rankSort?.value || 'perFocus';
+    const val = r => r[by] ?? -Infinity;
+    rows.sort((a, b) => val(b) - val(a));
+    const num = v => v == null ? '—' : (v === Infinity ? '∞' : fmt2(v));
+    for (const r of rows) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${escapeHtml(r.name)}</td>
+        <td class="num">${fmt2(r.cost)}</td>
+        <td class="num">${fmt2(r.sell)}</td>
+        <td class="num ${r.profit >= 0 ? 'ok' : 'err'}">${fmt2(r.profit)}</td>
+        <td class="num">${num(r.perFocus)}</td>
+        <td class="num">${num(r.perHour)}</td>`;
+      rankTableBody.appendChild(tr);
+    }
+    if (!rows.length) rankTableBody.innerHTML = '<tr><td colspan="6" class="muted">Enter sell prices to rank recipes.</td></tr>';
+  }
+  btnRank?.addEventListener('click', renderMarketRanking);
+  rankSort?.addEventListener('change', renderMarketRanking);
+
   btnExportCsv.addEventListener('click', () => {
     if (!state.lastLines?.length) return;
+    if (state.lastTotals?.targets) {
+      exportCsv('plan', state.lastTotals.targets.length, state.lastLines, state.lastTotals.focusSafe);
+      return;
+    }
     const qty = getCalcMode() === 'all'
       ? (state.lastTotals?.bestQtySafe ?? 0)
       : (Number(desiredQty.value || 1) || 1);
@@ -1638,5 +3911,115 @@ function effectiveTimePerCraft(rec, action){
 
   // init
   updateMaterials();
+  renderPlanRows(loadPlanRows());
+})();
+
+// ----------------- INVENTORY EDITOR -----------------
+(function inventoryUI(){
+  const invTableBody = $('#invTable tbody');
+  const useInventory = $('#useInventory');
+  const btnAddInv = $('#btnAddInv');
+  const btnClearInv = $('#btnClearInv');
+  const invStatus = $('#invStatus');
+  if (!invTableBody) return;
+
+  function readRows() {
+    const items = {};
+    for (const tr of invTableBody.querySelectorAll('tr')) {
+      const name = tr.querySelector('.inv-name').value.trim();
+      const qty = Number(tr.querySelector('.inv-qty').value);
+      if (name && Number.isFinite(qty) && qty > 0) items[name] = (items[name] || 0) + qty;
+    }
+    return items;
+  }
+  function addRow(name = '', qty = '') {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input class="inv-name" list="invNames" type="text" placeholder="Material" value="${escapeHtml(name)}"/></td>
+      <td class="num"><input class="inv-qty" type="number" min="0" step="1" value="${escapeHtml(qty)}"/></td>
+      <td><button class="btn small ghost removeInv">✕</button></td>`;
+    tr.querySelector('.removeInv').addEventListener('click', () => { tr.remove(); Inventory.setItems(readRows()); });
+    tr.addEventListener('change', () => Inventory.setItems(readRows()));
+    invTableBody.appendChild(tr);
+  }
+  function render() {
+    invTableBody.innerHTML = '';
+    const items = Inventory.items();
+    for (const [n, q] of Object.entries(items).sort((a, b) => a[0].localeCompare(b[0]))) addRow(n, q);
+    addRow();
+    if (useInventory) useInventory.checked = Inventory.enabled();
+    renderStatus();
+  }
+  function renderStatus() {
+    if (!invStatus) return;
+    const items = Inventory.items();
+    const unknown = Object.keys(items).filter(n => Store.count() && !Store.get(n));
+    invStatus.textContent = `${Object.keys(items).length} materials` + (unknown.length ? ` · not in recipes: ${unknown.join(', ')}` : '');
+    invStatus.className = unknown.length ? 'pill warn' : 'pill';
+  }
+  function refreshNames() {
+    const dl = $('#invNames');
+    if (dl) dl.innerHTML = Store.allNames().map(n => `<option value="${escapeHtml(n)}">`).join('');
+    renderStatus();
+  }
+
+  useInventory?.addEventListener('change', () => Inventory.setEnabled(useInventory.checked));
+  btnAddInv?.addEventListener('click', () => addRow());
+  btnClearInv?.addEventListener('click', () => { Inventory.clear(); render(); });
+  Inventory.subscribe(renderStatus);
+  Store.subscribe(refreshNames);
+
+  render();
+  refreshNames();
 })();
 
+(function pricesUI(){
+  const priceTableBody = $('#priceTable tbody');
+  const btnAddPrice = $('#btnAddPrice');
+  const btnClearPrices = $('#btnClearPrices');
+  const priceStatus = $('#priceStatus');
+  const focusValue = $('#focusValue');
+  if (!priceTableBody) return;
+
+  function readRows() {
+    const items = {};
+    for (const tr of priceTableBody.querySelectorAll('tr')) {
+      const name = tr.querySelector('.price-name').value.trim();
+      if (name) items[name] = { buy: tr.querySelector('.price-buy').value, sell: tr.querySelector('.price-sell').value };
+    }
+    return items;
+  }
+  function addRow(name = '', buy = '', sell = '') {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input class="price-name" list="invNames" type="text" placeholder="Material" value="${escapeHtml(name)}"/></td>
+      <td class="num"><input class="price-buy" type="number" min="0" step="any" value="${escapeHtml(buy)}"/></td>
+      <td class="num"><input class="price-sell" type="number" min="0" step="any" value="${escapeHtml(sell)}"/></td>
+      <td><button class="btn small ghost removePrice">✕</button></td>`;
+    tr.querySelector('.removePrice').addEventListener('click', () => { tr.remove(); Prices.setItems(readRows()); });
+    tr.addEventListener('change', () => Prices.setItems(readRows()));
+    priceTableBody.appendChild(tr);
+  }
+  function render() {
+    priceTableBody.innerHTML = '';
+    for (const [n, p] of Object.entries(Prices.items()).sort((a, b) => a[0].localeCompare(b[0]))) addRow(n, p.buy, p.sell);
+    addRow();
+    if (focusValue) focusValue.value = Prices.focusValue() || '';
+    renderStatus();
+  }
+  function renderStatus() {
+    if (!priceStatus) return;
+    const items = Prices.items();
+    const unknown = Object.keys(items).filter(n => Store.count() && !Store.get(n));
+    priceStatus.textContent = `${Object.keys(items).length} prices` + (unknown.length ? ` · not in recipes: ${unknown.join(', ')}` : '');
+    priceStatus.className = unknown.length ? 'pill warn' : 'pill';
+  }
+
+  focusValue?.addEventListener('change', () => Prices.setFocusValue(focusValue.value));
+  btnAddPrice?.addEventListener('click', () => addRow());
+  btnClearPrices?.addEventListener('click', () => { Prices.clear(); render(); });
+  Prices.subscribe(renderStatus);
+  Store.subscribe(renderStatus);
+
+  render();
+})();
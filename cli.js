@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// Focus calculator from the command line, on the same engine as the page (engine.js).
+//
+//   node cli.js --target "Mystery Metal - Master" --qty 30
+//   node cli.js --plan "Burning Powder=50,Mystery Metal - Master=30" --profile profile_Main.json --format leaves
+//   node cli.js --target "Burning Powder" --focus 500 --mode 95%
+//   node cli.js --target "Mystery Metal - Master" --bag bag.json
+//   node cli.js --target "Mystery Metal - Master" --qty 300 --cap 5000 --regen 100 --current 1000
+//   node cli.js --optimize "Mystery Metal - Master=30,Burning Powder=4" --focus 2000 --hours 1
+//
+// Files are the ones the page exports: recipes.json, a profile (Profile tab → Export) and
+// mastery definitions (Profile tab → Mastery definitions → Export).
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseRecipes, normalizeMasteryDefinitions, createEngine, renderTree, sumTimeSeconds,
+  YieldMode, RouteObjective, confidenceMode, focusSchedule, fmt2, formatDuration
+} = require('./engine.js');
+
+const USAGE = `Usage: node cli.js [options]
+
+  --recipes FILE     recipes.json to load (default: recipes.json next to cli.js)
+  --profile FILE     exported profile with the selected masteries and perks
+  --masteries FILE   custom mastery definitions (default: built-in)
+  --stock FILE       materials on hand, as { "Material": units }
+
+  --target NAME      material to make
+  --qty N            units of --target to make (default: 1)
+  --focus F          instead of --qty: most units of --target that F Focus covers
+  --bag FILE         instead of --qty: most units of --target the materials in FILE allow,
+                     as { "Material": units }; raw materials come only from the bag
+                     (with --focus, the Focus budget applies too)
+  --plan "A=3,B=2"   several targets at once (instead of --target)
+  --optimize "A=30,B=4"
+                     best mix of these products, valued per unit, within --focus,
+                     --hours and --bag (at least one; instead of --target)
+  --hours H          time budget for --optimize
+
+  --cap C            Focus cap; adds a session-by-session schedule as Focus regenerates
+  --regen R          Focus regenerated per hour (with --cap)
+  --current F        Focus on hand now (with --cap, default: 0)
+  --every H          hours between play sessions (with --cap, default: 24)
+
+  --mode MODE        safe | average | optimistic | a confidence such as 95% (default: safe)
+  --routes OBJ       focus | time | mix, for materials with alternative routes (default: focus)
+  --weight W         Focus per minute of crafting time when --routes mix (default: 0)
+  --format FMT       tree | leaves | csv (default: tree)
+  --help             show this text`;
+
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') { opts.help = true; continue; }
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}".`);
+    const eq = arg.indexOf('=');
+    if (eq > 0) { opts[arg.slice(2, eq)] = arg.slice(eq + 1); continue; }
+    const value = argv[i + 1];
+    if (value == null || value.startsWith('--')) throw new Error(`Missing value for ${arg}.`);
+    opts[arg.slice(2)] = value;
+    i++;
+  }
+  return opts;
+}
+
+function readJson(file, what) {
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); }
+  catch (e) { throw new Error(`Cannot read ${what} file "${file}": ${e.message}`); }
+  try { return JSON.parse(text); }
+  catch (e) { throw new Error(`${what} file "${file}" is not valid JSON: ${e.message}`); }
+}
+
+function parseMode(value = 'safe') {
+  const v = String(value).trim().toLowerCase();
+  const named = { safe: YieldMode.Safe, average: YieldMode.Avg, avg: YieldMode.Avg, optimistic: YieldMode.Opt, opt: YieldMode.Opt };
+  if (named[v]) return named[v];
+  const pct = v.endsWith('%');
+  let conf = Number(pct ? v.slice(0, -1) : v);
+  if (pct || conf > 1) conf /= 100;
+  if (!(conf > 0 && conf < 1)) throw new Error(`Unknown mode "${value}". Use safe, average, optimistic or a confidence like 95%.`);
+  return confidenceMode(conf);
+}
+
+function parsePlan(text, what = 'plan') {
+  const targets = [];
+  for (const part of String(text).split(',')) {
+    if (!part.trim()) continue;
+    const eq = part.lastIndexOf('=');
+    const name = (eq > 0 ? part.slice(0, eq) : part).trim();
+    const qty = eq > 0 ? Number(part.slice(eq + 1)) : 1;
+    if (!name || !(qty > 0)) throw new Error(`Bad ${what} entry "${part.trim()}" (expected Name=${what === 'plan' ? 'qty' : 'value'}).`);
+    targets.push({ name, qty });
+  }
+  if (!targets.length) throw new Error(`--${what} lists no targets.`);
+  return targets;
+}
+
+function leavesText(rows) {
+  const table = [['Action', 'Material', 'Crafts', 'Yield', 'Units', 'Focus', 'Time', 'Spare']];
+  for (const r of rows) {
+    table.push([r.action, r.name, String(r.crafts), String(r.yieldEff), String(r.units), fmt2(r.focus), r.time > 0 ? formatDuration(r.time) : '', r.surplus > 0 ? String(r.surplus) : '']);
+  }
+  const widths = table[0].map((_, c) => Math.max(...table.map(row => row[c].length)));
+  return table.map(row => row.map((cell, c) => (c >= 2 && c <= 5 || c === 7 ? cell.padStart(widths[c]) : cell.padEnd(widths[c]))).join('  ').trimEnd()).join('\n');
+}
+
+// What stops one more unit and what stays in the bag, for --bag
+function bagText({ limits, run, focusLeft }) {
+  const out = [];
+  for (const l of limits) {
+    out.push(l.name === 'Focus'
+      ? `Limited by Focus: one more needs ${fmt2(l.need)} of ${fmt2(l.have)}`
+      : `Limited by ${l.name}: one more needs ${l.need}, the bag has ${l.have}`);
+  }
+  const left = Object.entries(run.stockLeft || {}).filter(([, n]) => n > 0);
+  out.push(left.length ? `Left in the bag: ${left.map(([n, q]) => `${q} ${n}`).join(', ')}` : 'Nothing left in the bag.');
+  if (Number.isFinite(focusLeft)) out.push(`Focus left: ${fmt2(focusLeft)}`);
+  return out.join('\n');
+}
+
+// Sessions of the Focus schedule, for --cap
+function scheduleText(lines, opts) {
+  const plan = focusSchedule(lines, { current: opts.current, cap: opts.cap, regenPerHour: opts.regen, everyHours: opts.every });
+  const hours = h => `${Math.floor(h / 24)}d ${(h % 24).toFixed(1)}h`;
+  const out = [`Schedule: ${fmt2(plan.focusNeeded)} Focus, done after ${hours(plan.finishAt)}`];
+  for (const ses of plan.sessions) {
+    const steps = ses.steps.map(st => `${st.action} ${st.crafts}x ${st.material}${st.variant ? ` [via ${st.variant}]` : ''}`);
+    out.push(`  Day ${Math.floor(ses.at / 24) + 1}, +${hours(ses.at)} (Focus ${fmt2(ses.focusBefore)} → ${fmt2(ses.focusAfter)}): ${steps.join('; ')}`);
+  }
+  return out.join('\n');
+}
+
+// Binding budgets and what blocks one more of each product, for --optimize
+function mixText({ targets, binding, exact, unlimited }) {
+  const out = binding.map(b => (b.name === 'Focus' ? `Binding: Focus ${fmt2(b.used)} of ${fmt2(b.limit)}`
+    : b.name === 'Time' ? `Binding: time ${formatDuration(b.used)} of ${formatDuration(b.limit)}`
+      : `Binding: ${b.name} ${b.used} of ${b.limit} in the bag`));
+  if (!exact) out.push('Too many products to check every mix; a better one may exist.');
+  for (const t of targets) {
+    out.push(unlimited.includes(t.name)
+      ? `${t.name}: left out, no budget limits it`
+      : `${t.name}: ${t.qty} × ${fmt2(t.value)}; one more is blocked by ${t.blockedBy.join(', ') || 'nothing'}`);
+  }
+  return out.join('\n');
+}
+
+function main(argv) {
+  const opts = parseArgs(argv);
+  if (opts.help) { console.log(USAGE); return; }
+
+  const { map: recipes } = parseRecipes(readJson(opts.recipes || path.join(__dirname, 'recipes.json'), 'Recipes'));
+  const profile = opts.profile ? readJson(opts.profile, 'Profile') : null;
+  if (profile && (typeof profile.masteries !== 'object' || Array.isArray(profile.masteries))) {
+    throw new Error(`Profile file "${opts.profile}" has no "masteries" object.`);
+  }
+  const definitions = opts.masteries ? normalizeMasteryDefinitions(readJson(opts.masteries, 'Mastery definitions')) : null;
+  const stock = opts.stock ? readJson(opts.stock, 'Stock') : null;
+  const routeObjective = opts.routes || RouteObjective.Focus;
+  if (!Object.values(RouteObjective).includes(routeObjective)) throw new Error(`Unknown --routes "${routeObjective}". Use focus, time or mix.`);
+  const format = opts.format || 'tree';
+  if (!['tree', 'leaves', 'csv'].includes(format)) throw new Error(`Unknown --format "${format}". Use tree, leaves or csv.`);
+  const mode = parseMode(opts.mode);
+
+  const engine = createEngine({
+    recipes,
+    masteries: profile?.masteries || {},
+    definitions,
+    routeObjective,
+    routeWeight: Number(opts.weight) || 0
+  });
+
+  let run, heading, footer = '';
+  if (opts.optimize) {
+    const products = parsePlan(opts.optimize, 'optimize').map(p => ({ name: p.name, value: p.qty }));
+    const number = (v, flag) => {
+      if (v == null) return null;
+      const n = Number(v);
+      if (!(n >= 0)) throw new Error(`${flag} must be a non-negative number.`);
+      return n;
+    };
+    const focus = number(opts.focus, '--focus');
+    const hours = number(opts.hours, '--hours');
+    const bag = opts.bag ? readJson(opts.bag, 'Bag') : null;
+    const mix = engine.optimizeMix(products, { focus, time: hours == null ? null : hours * 3600, bag }, mode);
+    run = mix.run;
+    heading = `${mix.exact ? 'Best mix' : 'Best mix found (approximate)'}: ${mix.targets.filter(t => t.qty > 0).map(t => `${t.qty} × ${t.name}`).join(', ') || 'nothing fits'} (value ${fmt2(mix.totalValue)})`;
+    footer = mixText(mix);
+  } else if (opts.plan) {
+    const targets = parsePlan(opts.plan);
+    run = engine.calculatePlan(targets, mode, stock);
+    heading = `Plan: ${targets.map(t => `${t.qty} × ${t.name}`).join(', ')}`;
+  } else {
+    if (!opts.target) throw new Error('Give --target NAME or --plan "A=3,B=2" (see --help).');
+    if (!recipes[opts.target]) throw new Error(`Unknown material: ${opts.target}`);
+    let qty = opts.qty == null ? 1 : Number(opts.qty);
+    const focus = opts.focus == null ? null : Number(opts.focus);
+    if (focus != null && !(focus >= 0)) throw new Error('--focus must be a non-negative number.');
+    if (opts.bag) {
+      const found = engine.maxFromBag(opts.target, readJson(opts.bag, 'Bag'), focus, mode);
+      if (found.unbounded) throw new Error(`Nothing in the bag limits ${opts.target}; it needs no raw materials.`);
+      run = found.run;
+      heading = `Max craftable from the bag${focus != null ? ` and ${fmt2(focus)} Focus` : ''}: ${found.qty} × ${opts.target}`;
+      footer = bagText(found);
+    } else if (focus != null) {
+      qty = engine.maxCraftable(opts.target, focus, mode, stock);
+      heading = `Max craftable with ${fmt2(focus)} Focus: ${qty} × ${opts.target}`;
+    } else {
+      if (!(qty > 0)) throw new Error('--qty must be a positive number.');
+      heading = `${qty} × ${opts.target}`;
+    }
+    if (!run) run = engine.calculateFocus(opts.target, qty, mode, stock);
+  }
+
+  if (format === 'csv') {
+    console.log(engine.toCsv(run.lines, run.totalFocus));
+    return;
+  }
+  if (profile?.name) heading += ` (profile: ${profile.name})`;
+  console.log(`${heading}\nTotal Focus: ${fmt2(run.totalFocus)} · Time: ${formatDuration(sumTimeSeconds(run.lines))}\n`);
+  console.log(format === 'leaves' ? leavesText(engine.leafChecklist(run.lines)) : renderTree(run.lines, true));
+  if (footer) console.log(`\n${footer}`);
+  if (opts.cap != null) console.log(`\n${scheduleText(run.lines, opts)}`);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,1217 @@
+/**
+ * Focus calculation engine: recipes + profile + request in, breakdown lines and totals out.
+ * No DOM or storage access, so the same code runs in the page (window.FocusEngine) and in
+ * Node (require('./engine.js')) for cli.js.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.FocusEngine = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ----------------- Utilities -----------------
+  const fmt2 = n => Number(n).toFixed(2);
+  const isFiniteNum = x => typeof x === 'number' && Number.isFinite(x);
+  const nz = (x, d = 0) => Number.isFinite(Number(x)) ? Number(x) : d;
+  const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+  const formatDuration = (seconds) => {
+    seconds = Math.max(0, Math.round(seconds || 0));
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return h >= 1 ? `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+      : `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+  };
+  const csvEsc = s => {
+    s = String(s ?? '');
+    return (s.includes(',') || s.includes('"')) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+
+  // ----------------- Life Skills (taxonomy) -----------------
+  const LIFE_SKILLS = [
+    "Smelting","Culinary","Gemcrafting","Weaving","Artisanry","Alchemy",
+    "Mineralogy","Botany","Gemology"
+  ];
+  const CRAFTING_SKILLS = new Set(["Smelting","Culinary","Gemcrafting","Weaving","Artisanry","Alchemy"]);
+  const GATHERING_SKILLS = new Set(["Mineralogy","Botany","Gemology"]);
+
+  // Preset mastery toggles per skill -> effects that roll into EV/time
+  const PERK_LIBRARY = {
+    Smelting: [
+      { id:'smelt_time',   label:'Time Saver',          desc:'Reduced crafting time.',          effects:{ timePct:-15 } },
+      { id:'smelt_yield',  label:'Yield Booster',       desc:'Improves odds for extra output.', effects:{ yieldPct:10 } },
+      { id:'smelt_plus1',  label:'+1 Output Chance',    desc:'Occasional extra bar/stone.',     effects:{ plusOnePct:5 } },
+    ],
+    Gemcrafting: [
+      { id:'gemc_time',    label:'Time Saver',          desc:'Reduced crafting time.',          effects:{ timePct:-10 } },
+      { id:'gemc_yield',   label:'Quality/Gains Bonus', desc:'Slight increase to result EV.',   effects:{ yieldPct:10 } },
+    ],
+    Weaving: [
+      { id:'weave_time',   label:'Time Saver',          desc:'Reduced crafting time.',          effects:{ timePct:-20 } },
+      { id:'weave_bonus',  label:'Bonus Dye',           desc:'Chance to craft 1 extra dye.',    effects:{ plusOnePct:10 } },
+    ],
+    Artisanry: [
+      { id:'art_time',     label:'Time Saver',          desc:'Reduced crafting time.',          effects:{ timePct:-10 } },
+      { id:'art_yield',    label:'Batch Gains',         desc:'Slight increase to batch yield.', effects:{ yieldPct:10 } },
+    ],
+    Culinary: [
+      { id:'cul_time',     label:'Time Saver',          desc:'Reduced cooking time.',           effects:{ timePct:-10 } },
+      { id:'cul_upgrade',  label:'Rarity Upgrade',      desc:'Chance to improve result tier.',  effects:{ plusOnePct:12 } },
+    ],
+    Alchemy: [
+      { id:'alc_time',     label:'Time Saver',          desc:'Reduced brewing time.',           effects:{ timePct:-10 } },
+      { id:'alc_upgrade',  label:'Rarity Upgrade',      desc:'Chance to craft higher tier.',    effects:{ plusOnePct:12 } },
+    ],
+    Mineralogy: [
+      { id:'min_time',     label:'Faster Gathering',    desc:'Reduced gather time.',            effects:{ timePct:-10 } },
+      { id:'min_double',   label:'Double Gather',       desc:'Occasional extra ore.',           effects:{ doublePct:15 } },
+    ],
+    Botany: [
+      { id:'bot_time',     label:'Faster Gathering',    desc:'Reduced gather time.',            effects:{ timePct:-10 } },
+      { id:'bot_double',   label:'Double Gather',       desc:'Occasional extra herbs.',         effects:{ doublePct:15 } },
+    ],
+    Gemology: [
+      { id:'geo_time',     label:'Faster Gathering',    desc:'Reduced gather time.',            effects:{ timePct:-10 } },
+      { id:'geo_double',   label:'Double Gather',       desc:'Occasional extra gems.',          effects:{ doublePct:15 } },
+    ],
+  };
+
+  function normalizeSkillName(s){
+    s = String(s || '').trim();
+    if (!s) return null;
+    // case-insensitive match to known skills
+    const m = LIFE_SKILLS.find(x => x.toLowerCase() === s.toLowerCase());
+    return m || null;
+  }
+
+  function classifyLifeSkill(name, isMineable, ingredients) {
+    name = String(name||'').toLowerCase();
+    const ingNames = Object.keys(ingredients||{}).map(k => String(k||'').toLowerCase()).join(' ');
+
+    // Gathered first
+    if (isMineable) {
+      if (/(ore|metal|ingot|stone|rock|azte|boru)/.test(name)) return "Mineralogy";
+      if (/(gem|ruby|sapphire|emerald|opal|radiant)/.test(name)) return "Gemology";
+      if (/(herb|plant|berry|stem|juice|parsely|musk|log|wood|resin)/.test(name)) return "Botany";
+      // Try infer from ingredients too
+      if (/(gem|ruby|sapphire|emerald|opal)/.test(ingNames)) return "Gemology";
+      if (/(berry|herb|plant|wood|resin)/.test(ingNames)) return "Botany";
+      if (/(ore|metal|ingot|stone)/.test(ingNames)) return "Mineralogy";
+      return "Mineralogy"; // default gather
+    }
+
+    // Crafted
+    if (/(smelt|metal|ingot|stone)/.test(name)) return "Smelting";
+    if (/(potion|elixir|serum|aromatic|catalyst|alchemy)/.test(name)) return "Alchemy";
+    if (/(food|meal|soup|bread|culin|stew)/.test(name)) return "Culinary";
+    if (/(gem|cut|jewel|ring|ruby)/.test(name)) return "Gemcrafting";
+    if (/(dye|cloth|thread|weave)/.test(name)) return "Weaving";
+    if (/(wax|powder|lumber|resin|artisan)/.test(name)) return "Artisanry";
+
+    // fallback heuristic from ingredients
+    if (/(ore|metal|ingot|stone)/.test(ingNames)) return "Smelting";
+    if (/(gem|ruby|sapphire|emerald|opal)/.test(ingNames)) return "Gemcrafting";
+    if (/(berry|herb|plant|food|meal|juice)/.test(ingNames)) return "Culinary";
+    if (/(potion|elixir|serum|aromatic|catalyst)/.test(ingNames)) return "Alchemy";
+    if (/(dye|cloth|thread)/.test(ingNames)) return "Weaving";
+    if (/(wax|powder|lumber|resin)/.test(ingNames)) return "Artisanry";
+
+    return null;
+  }
+
+  // ----------------- Recipes -----------------
+  const toProb = v => {
+    if (v === null || v === undefined || v === '') return null;
+    let p = Number(v);
+    if (!Number.isFinite(p)) return null;
+    if (p > 1) p = p / 100;       // allow 0–100%
+    return clamp(p, 0, 1);
+  };
+
+  // Convert { qty: prob } into normalized 0–1 probs; accept % or 0–1
+  function normalizeOutcomes(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+    const pairs = Object.entries(obj)
+      .map(([k, v]) => [Number(k), Number(v)])
+      .filter(([q, p]) => Number.isFinite(q) && q >= 0 && Number.isFinite(p) && p >= 0);
+    if (!pairs.length) return null;
+
+    // Convert >1 to percent; then normalize to sum 1
+    const converted = pairs.map(([q, p]) => [q, p > 1 ? (p / 100) : p]);
+    const sum = converted.reduce((s, [, p]) => s + p, 0);
+    if (sum <= 0) return null;
+
+    const norm = {};
+    for (const [q, p] of converted) norm[q] = p / sum;
+    return norm;
+  }
+
+  function normalizeRecipe(r) {
+
+    // Fixed yield: allow null, but keep fixed yields > 0 if provided
+    let fixedYield = r.Yield;
+    const hasFixed = fixedYield !== '' && fixedYield !== null && fixedYield !== undefined;
+    fixedYield = hasFixed ? Number(fixedYield) : null;
+    const toNonNegOrNull = v =>
+      (v === '' || v == null) ? null
+        : (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : null);
+
+    const nr = {
+      Name: String(r.Name || '').trim(),
+      LifeSkill: null,
+      FocusCost: nz(r.FocusCost),
+      Yield: hasFixed ? (Number.isFinite(fixedYield) && fixedYield > 0 ? fixedYield : 1) : null,
+      // Min/Max: allow 0 as valid
+      YieldMin: toNonNegOrNull(r.YieldMin),
+      YieldMax: toNonNegOrNull(r.YieldMax),
+      TimePerCraftSeconds: nz(r.TimePerCraftSeconds, 0),
+      IsMineable: !!r.IsMineable,
+      Ingredients: {},
+      YieldOutcomes: normalizeOutcomes(r.YieldOutcomes),
+      // Deprecated, still accepted for backward compat on Min/Max only
+      YieldMinChance: toProb(r.YieldMinChance),
+      YieldMaxChance: toProb(r.YieldMaxChance)
+    };
+
+    // If only one of min/max present, mirror it
+    if (nr.YieldMin !== null && nr.YieldMax === null) nr.YieldMax = nr.YieldMin;
+    if (nr.YieldMax !== null && nr.YieldMin === null) nr.YieldMin = nr.YieldMax;
+
+    if (r.Ingredients && typeof r.Ingredients === 'object') {
+      for (const [k, v] of Object.entries(r.Ingredients)) {
+        const qty = Number(v);
+        if (k && Number.isFinite(qty) && qty > 0) nr.Ingredients[k] = qty;
+      }
+    }
+
+    // Assign/Infer Life Skill
+    const given = normalizeSkillName(r.LifeSkill);
+    nr.LifeSkill = given || classifyLifeSkill(nr.Name, nr.IsMineable, nr.Ingredients);
+
+    // Optional alternative routes for the same material (bought, gathered, other recipe...).
+    // Only written when present so plain recipes.json files keep their shape.
+    const variant = String(r.Variant ?? '').trim();
+    if (variant) nr.Variant = variant;
+    // Optional free-form tags, e.g. for mastery rules that match by tag
+    const tags = Array.isArray(r.Tags) ? [...new Set(r.Tags.map(t => String(t).trim()).filter(Boolean))] : [];
+    if (tags.length) nr.Tags = tags;
+    if (Array.isArray(r.Alternatives) && r.Alternatives.length) {
+      nr.Alternatives = r.Alternatives
+        .filter(a => a && typeof a === 'object')
+        .map((a, i) => {
+          const alt = normalizeRecipe({ ...a, Name: nr.Name, Alternatives: null });
+          if (!alt.Variant) alt.Variant = `Route ${i + 2}`;
+          return alt;
+        });
+    }
+    return nr;
+  }
+
+  // Primary recipe first, then its alternatives; each is a full recipe carrying the material's Name
+  function recipeVariants(rec) {
+    if (!rec) return [];
+    const { Alternatives, ...primary } = rec;
+    if (!primary.Variant && Alternatives?.length) primary.Variant = 'Default';
+    return [primary, ...(Alternatives || [])];
+  }
+
+  // Parse recipes.json (array or name-keyed object) into a normalized name -> recipe map
+  function parseRecipes(json) {
+    const raw = typeof json === 'string' ? JSON.parse(json) : json;
+    const m = {};
+    let isArray = true;
+    if (Array.isArray(raw)) {
+      for (const r of raw) {
+        if (!r || !r.Name) continue;
+        const nr = normalizeRecipe(r);
+        if (nr.Name) m[nr.Name] = nr;
+      }
+    } else {
+      isArray = false;
+      for (const [name, r] of Object.entries(raw)) {
+        const nr = normalizeRecipe({ ...r, Name: r?.Name || name });
+        if (nr.Name) m[nr.Name] = nr;
+      }
+    }
+    return { map: m, isArray };
+  }
+
+  // ----------------- MASTERY DEFINITIONS (data, editable in the Profile tab) -----------------
+  /**
+   * Per Life Skill, a list of masteries. Each mastery is one Profile setting (`key`) with
+   * its selectable `levels`, and `rules` that say which recipes it touches and how:
+   *   match:  { skills?, names?, exclude?, tags?, gather? }
+   *           skills  — Life Skills the rule applies to (default: the mastery's own skill)
+   *           names   — any of these substrings in the recipe name (case-insensitive)
+   *           exclude — none of these substrings in the recipe name
+   *           tags    — any of these in the recipe's Tags
+   *           gather  — only Focus gathers (mineable recipes with a Focus cost)
+   *   effect: 'flat' (+N output) | 'chance' (chance of +1, 0–1) | 'yieldPct' (% of base yield) | 'timeCap' (seconds)
+   *   values: level -> amount (levels without a value do nothing)
+   */
+  const MASTERY_EFFECTS = ['flat', 'chance', 'yieldPct', 'timeCap'];
+
+  const speedMastery = (legend, fast, ultra) => ({
+    key:'timeCap', legend, levels:[ {v:0, label:'Normal'}, {v:3, label:`${fast} (3s)`}, {v:2, label:`${ultra} (2s)`} ],
+    rules:[ { effect:'timeCap', values:{3:3, 2:2} } ]
+  });
+
+  const MASTERY_DEFAULTS = {
+    Mineralogy: [
+      { key:'miningYieldLevel', legend:'Mining Yielding', short:'Yield',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Novice (+10% +1 on focus gather)'}, {v:2, label:'Pro (+20%)'}, {v:3, label:'Master (+30%)'} ],
+        rules:[ { match:{ gather:true }, effect:'chance', values:{1:0.10, 2:0.20, 3:0.30} } ] },
+      speedMastery('Mining Speed', 'Fast', 'Ultra-fast')
+    ],
+    Botany: [
+      { key:'sparePouchLevel', legend:'Spare Pouch', short:'Pouch',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Lv.1 (+10% +1 on focus gather)'}, {v:2, label:'Lv.2 (+20%)'}, {v:3, label:'Lv.3 (+30%)'} ],
+        rules:[ { match:{ gather:true }, effect:'chance', values:{1:0.10, 2:0.20, 3:0.30} } ] },
+      speedMastery('Gathering Speed', 'Fast', 'Ultra-fast')
+    ],
+    Gemology: [
+      { key:'gemYieldGatherLevel', legend:'Gem Yielding (Gather)', short:'Yield',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Novice (+10% +1 on focus gather)'}, {v:2, label:'Pro (+20%)'}, {v:3, label:'Master (+30%)'} ],
+        rules:[ { match:{ gather:true }, effect:'chance', values:{1:0.10, 2:0.20, 3:0.30} } ] },
+      speedMastery('Mining Speed', 'Fast', 'Ultra-fast')
+    ],
+    Smelting: [
+      { key:'luckySmeltingLevel', legend:'Lucky Smelting (Mystery Metal/Radiant Stone/Fine Forgestone)', short:'Lucky',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Lv1 (+5% +1)'}, {v:2, label:'Lv2 (+10% +1)'}, {v:3, label:'Lv3 (+15% +1)'} ],
+        rules:[ { match:{ names:['mystery metal','radiant stone','fine forgestone'] }, effect:'chance', values:{1:0.05, 2:0.10, 3:0.15} } ] },
+      speedMastery('Smithing Speed', 'Fast Smithing', 'Ultra-fast Smithing')
+    ],
+    Artisanry: [
+      { key:'artisanryLevel', legend:'Artisanry', short:'Artisanry',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Lv1 (+2 on Burning Powder/Gem Wax)'}, {v:2, label:'Lv2 (+5 on Burning Powder/Gem Wax, +1 on Fast-Burning Powder)'} ],
+        rules:[
+          { match:{ names:['burning powder','gem wax'] }, effect:'flat', values:{1:2, 2:5} },
+          { match:{ names:['fast-burning powder'] }, effect:'flat', values:{2:1} }
+        ] },
+      speedMastery('Crafting Speed', 'Fast Crafting', 'Ultra-fast Crafting')
+    ],
+    Culinary: [
+      { key:'luckyCookingLevel', legend:'Lucky Cooking', short:'Lucky Cook',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Lv.1 (+10% +1, excl. Cheer‑Up Treat)'}, {v:2, label:'Lv.2 (+20%)'}, {v:3, label:'Lv.3 (+30%)'} ],
+        rules:[ { match:{ exclude:['cheer-up treat'] }, effect:'chance', values:{1:0.10, 2:0.20, 3:0.30} } ] },
+      speedMastery('Cooking Speed', 'Fast Cooking', 'Ultra-fast Cooking')
+    ],
+    Alchemy: [
+      { key:'alchemyRefineLevel', legend:'Alchemy Refine', short:'Refine',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Lv.1 (+10% +1 on potions/particles)'}, {v:2, label:'Lv.2 (+20%)'}, {v:3, label:'Lv.3 (+30%)'} ],
+        rules:[ { match:{ exclude:['arcane insight conversion'] }, effect:'chance', values:{1:0.10, 2:0.20, 3:0.30} } ] },
+      { key:'sprayYieldLevel', legend:'Spray Yielding (Furniture dye sprays)', short:'Spray',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Lv.1 (+20% +1)'}, {v:2, label:'Lv.2 (+30% +1)'} ],
+        rules:[ { match:{ names:['spray'] }, effect:'chance', values:{1:0.20, 2:0.30} } ] },
+      speedMastery('Alchemy Speed', 'Fast Alchemy', 'Ultra-fast Alchemy')
+    ],
+    Gemcrafting: [
+      { key:'gemYieldCraftLevel', legend:'Gem Yielding (Craft)', short:'Gem Yield',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Novice (+5% +1)'}, {v:2, label:'Pro (+10%)'}, {v:3, label:'Master (+15%)'} ],
+        rules:[ { effect:'chance', values:{1:0.05, 2:0.10, 3:0.15} } ] },
+      speedMastery('Processing Speed', 'Fast Processing', 'Ultra-fast Processing')
+    ],
+    Weaving: [
+      { key:'dyeYieldLevel', legend:'Dye Yielding', short:'Dye Yield',
+        levels:[ {v:0, label:'None'}, {v:1, label:'Lv.1 (+20% +1 on dyes)'}, {v:2, label:'Lv.2 (+30% +1)'} ],
+        rules:[ { match:{ names:['dye'] }, effect:'chance', values:{1:0.20, 2:0.30} } ] },
+      speedMastery('Weaving Speed', 'Fast Weaving', 'Ultra-fast Weaving')
+    ]
+  };
+
+  const strList = (v, where) => {
+    if (v == null) return undefined;
+    if (!Array.isArray(v)) throw new Error(`${where} must be an array of strings.`);
+    return v.map(x => String(x).trim()).filter(Boolean);
+  };
+
+  // Checks and cleans a definitions object; throws with the first problem found
+  function normalizeMasteryDefinitions(defs){
+    if (!defs || typeof defs !== 'object' || Array.isArray(defs)) throw new Error('Mastery definitions must be an object keyed by Life Skill.');
+    const out = {};
+    for (const [skill, list] of Object.entries(defs)){
+      if (!LIFE_SKILLS.includes(skill)) throw new Error(`Unknown Life Skill "${skill}".`);
+      if (!Array.isArray(list)) throw new Error(`${skill}: expected an array of masteries.`);
+      out[skill] = list.map((m, i) => {
+        const where = `${skill} #${i + 1}`;
+        const mkey = String(m?.key || '').trim();
+        if (!mkey) throw new Error(`${where}: missing "key".`);
+        if (!Array.isArray(m.levels) || !m.levels.length) throw new Error(`${where} (${mkey}): "levels" must be a non-empty array.`);
+        const levels = m.levels.map(l => {
+          const v = Number(l?.v);
+          if (!Number.isFinite(v)) throw new Error(`${where} (${mkey}): every level needs a numeric "v".`);
+          return { v, label: String(l.label ?? v) };
+        });
+        const rules = (m.rules || []).map((r, j) => {
+          const rw = `${where} (${mkey}) rule #${j + 1}`;
+          if (!MASTERY_EFFECTS.includes(r?.effect)) throw new Error(`${rw}: effect must be one of ${MASTERY_EFFECTS.join(', ')}.`);
+          const values = {};
+          for (const [lvl, amt] of Object.entries(r.values || {})){
+            if (!Number.isFinite(Number(amt))) throw new Error(`${rw}: value for level ${lvl} is not a number.`);
+            values[lvl] = Number(amt);
+          }
+          const mt = r.match || {};
+          const match = {};
+          for (const f of ['skills', 'names', 'exclude', 'tags']){
+            const v = strList(mt[f], `${rw}: match.${f}`);
+            if (v?.length) match[f] = v;
+          }
+          if (mt.gather) match.gather = true;
+          return { match, effect: r.effect, values };
+        });
+        const def = { key: mkey, legend: String(m.legend || mkey), levels, rules };
+        if (m.short) def.short = String(m.short);
+        return def;
+      });
+    }
+    return out;
+  }
+
+  const DEFAULT_DEFINITIONS = normalizeMasteryDefinitions(MASTERY_DEFAULTS);
+
+  function ruleMatches(match, rec, skill){
+    const m = match || {};
+    if (!(m.skills || [skill]).includes(rec.LifeSkill)) return false;
+    if (m.gather && !(rec.IsMineable && (rec.FocusCost||0) > 0)) return false;
+    const name = String(rec.Name||'').toLowerCase();
+    if (m.names && !m.names.some(s => name.includes(s.toLowerCase()))) return false;
+    if (m.exclude && m.exclude.some(s => name.includes(s.toLowerCase()))) return false;
+    if (m.tags){
+      const tags = (rec.Tags || []).map(t => t.toLowerCase());
+      if (!m.tags.some(t => tags.includes(t.toLowerCase()))) return false;
+    }
+    return true;
+  }
+
+  // Sum of the selected masteries' and perks' effects on one recipe (timeCap: lowest cap, 0 = none).
+  // masteries is a profile's Life Skill -> selected levels/perks; definitions are normalized rules.
+  // The calculator combines them in a fixed order (see EFFECT_ORDER).
+  function masteryEffects(rec, masteries, definitions){
+    const fx = { flat:0, chance:0, yieldPct:0, doublePct:0, timePct:0, timeCap:0 };
+    const selected = masteries || {};
+    for (const [skill, list] of Object.entries(definitions || DEFAULT_DEFINITIONS)){
+      const sel = selected[skill] || {};
+      for (const m of list){
+        const lvl = Number(sel[m.key] || 0);
+        if (!lvl) continue;
+        for (const r of m.rules){
+          const amt = Number(r.values[lvl] || 0);
+          if (!amt || !ruleMatches(r.match, rec, skill)) continue;
+          if (r.effect === 'timeCap') fx.timeCap = fx.timeCap ? Math.min(fx.timeCap, amt) : amt;
+          else fx[r.effect] += amt;
+        }
+      }
+    }
+    const perks = new Set((selected[rec.LifeSkill] || {}).perks || []);
+    for (const perk of PERK_LIBRARY[rec.LifeSkill] || []){
+      if (!perks.has(perk.id)) continue;
+      const e = perk.effects || {};
+      fx.timePct += e.timePct || 0;
+      fx.yieldPct += e.yieldPct || 0;
+      fx.chance += (e.plusOnePct || 0) / 100;
+      fx.doublePct += e.doublePct || 0;
+    }
+    return fx;
+  }
+
+  // How the effects above combine, in order (also shown in the Profile tab)
+  const EFFECT_ORDER = {
+    yield: [
+      'Base yield (fixed, min/max or outcomes)',
+      '× (1 + % yield)  — mastery yieldPct and perk yieldPct, summed',
+      'doubled with the perks\' double chance',
+      '+ flat extras  — mastery flat',
+      '+1 with the combined chance  — mastery chance and perk +1 chances, summed'
+    ],
+    time: [
+      'Base time per craft',
+      '× (1 + % time)  — perk timePct, summed (−15% = 0.85×)',
+      'capped at the fastest speed mastery (3s / 2s)'
+    ]
+  };
+
+  // ----------------- Yields -----------------
+  const YieldMode = { Safe: 'safe', Avg: 'average', Opt: 'optimistic' };
+
+  function effectiveYield(rec, mode) {
+    // 1) Outcomes override
+    if (rec.YieldOutcomes && typeof rec.YieldOutcomes === 'object') {
+      const pairs = Object.entries(rec.YieldOutcomes)
+        .map(([k, v]) => [Number(k), Number(v)])
+        .filter(([qty, p]) => Number.isFinite(qty) && qty >= 0 && Number.isFinite(p) && p >= 0);
+
+      if (pairs.length) {
+        const min = Math.min(...pairs.map(([q]) => q));
+        const max = Math.max(...pairs.map(([q]) => q));
+        const sumP = pairs.reduce((s, [, p]) => s + p, 0) || 1;
+        const avg = pairs.reduce((s, [q, p]) => s + q * (p / sumP), 0);
+        if (mode === YieldMode.Safe) return Math.max(0, min);
+        if (mode === YieldMode.Opt) return Math.max(0, max);
+        return Math.max(0, avg);
+      }
+    }
+
+    // 2) Min/Max window (with optional chances)
+    const hasMin = rec.YieldMin != null && rec.YieldMin >= 0;
+    const hasMax = rec.YieldMax != null && rec.YieldMax >= 0;
+    if (hasMin || hasMax) {
+      const min = hasMin ? rec.YieldMin : (rec.Yield ?? 1);
+      const max = hasMax ? rec.YieldMax : (rec.Yield ?? 1);
+      if (mode === YieldMode.Safe) return Math.max(0, min);
+      if (mode === YieldMode.Opt) return Math.max(0, max);
+
+      let pMin = rec.YieldMinChance, pMax = rec.YieldMaxChance;
+      if (pMin == null && pMax == null) return Math.max(0, (min + max) / 2);
+      if (pMin == null) pMin = 1 - pMax;
+      if (pMax == null) pMax = 1 - pMin;
+      const sum = (pMin || 0) + (pMax || 0);
+      if (sum <= 0) return Math.max(0, (min + max) / 2);
+      pMin /= sum; pMax /= sum;
+      return Math.max(0, min * pMin + max * pMax);
+    }
+
+    // 3) Fixed yield
+    const y = (rec.Yield == null) ? 1 : Number(rec.Yield);
+    return Math.max(0, Number.isFinite(y) ? y : 1);
+  }
+
+  // ----- Per-craft output distribution: [[qty, prob], ...] sorted by qty -----
+  // Base yield only (outcomes, min/max window or fixed); the engine's craftDistribution
+  // adds mastery and perk effects on top.
+  function baseYieldDistribution(rec) {
+    if (rec.YieldOutcomes && typeof rec.YieldOutcomes === 'object') {
+      const pairs = Object.entries(rec.YieldOutcomes)
+        .map(([k, v]) => [Number(k), Number(v)])
+        .filter(([q, p]) => Number.isFinite(q) && q >= 0 && Number.isFinite(p) && p > 0);
+      const sum = pairs.reduce((s, [, p]) => s + p, 0);
+      if (pairs.length && sum > 0) return pairs.map(([q, p]) => [q, p / sum]);
+    }
+    const hasMin = rec.YieldMin != null && rec.YieldMin >= 0;
+    const hasMax = rec.YieldMax != null && rec.YieldMax >= 0;
+    if (hasMin || hasMax) {
+      const min = hasMin ? rec.YieldMin : (rec.Yield ?? 1);
+      const max = hasMax ? rec.YieldMax : (rec.Yield ?? 1);
+      if (min === max) return [[min, 1]];
+      let pMin = rec.YieldMinChance, pMax = rec.YieldMaxChance;
+      if (pMin == null && pMax == null) {
+        // No chances given: every whole amount in the window is equally likely
+        if (Number.isInteger(min) && Number.isInteger(max) && max - min <= 1000) {
+          const n = max - min + 1;
+          return Array.from({ length: n }, (_, i) => [min + i, 1 / n]);
+        }
+        return [[min, 0.5], [max, 0.5]];
+      }
+      if (pMin == null) pMin = 1 - pMax;
+      if (pMax == null) pMax = 1 - pMin;
+      const sum = (pMin || 0) + (pMax || 0);
+      if (sum <= 0) return [[min, 0.5], [max, 0.5]];
+      return [[min, pMin / sum], [max, pMax / sum]];
+    }
+    const y = (rec.Yield == null) ? 1 : Number(rec.Yield);
+    return [[Math.max(0, Number.isFinite(y) ? y : 1), 1]];
+  }
+
+  // ----- Exact output odds (convolution of per-craft distributions) -----
+  // Confidence modes are encoded as 'conf:0.95' next to the Safe/Avg/Opt YieldMode values.
+  const confidenceMode = c => `conf:${c}`;
+  const confidenceOf = mode => (typeof mode === 'string' && mode.startsWith('conf:')) ? Number(mode.slice(5)) : null;
+
+  // Whole units only: a fractional amount q becomes floor(q)/ceil(q) with the same mean
+  function toIntegerDistribution(dist) {
+    const acc = new Map();
+    const put = (q, p) => { if (p > 0) acc.set(q, (acc.get(q) || 0) + p); };
+    for (const [q, p] of dist) {
+      const lo = Math.floor(q + 1e-9), f = q - lo;
+      put(lo, p * (1 - (f > 1e-9 ? f : 0)));
+      if (f > 1e-9) put(lo + 1, p * f);
+    }
+    return [...acc.entries()].sort((a, b) => a[0] - b[0]);
+  }
+  // One more craft: vec[i] = P(total = i), with the last bucket meaning "target or more"
+  function convolveStep(vec, dist, target) {
+    const next = new Float64Array(target + 1);
+    for (let i = 0; i <= target; i++) {
+      const pi = vec[i];
+      if (!pi) continue;
+      for (const [q, p] of dist) next[Math.min(target, i + q)] += pi * p;
+    }
+    return next;
+  }
+  // Normal approximation for very large targets, where exact convolution gets slow
+  const EXACT_TARGET_LIMIT = 5000;
+  function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+  function approxReach(dist, crafts, target) {
+    const mu = dist.reduce((s, [q, p]) => s + q * p, 0);
+    const v = dist.reduce((s, [q, p]) => s + (q - mu) * (q - mu) * p, 0);
+    if (v <= 0) return crafts * mu >= target ? 1 : 0;
+    return 1 - normalCdf((target - 0.5 - crafts * mu) / Math.sqrt(crafts * v));
+  }
+
+  // P(at least `target` units from `crafts` crafts)
+  function reachProbability(dist, crafts, target) {
+    target = Math.ceil(target - 1e-9);
+    if (target <= 0) return 1;
+    const d = toIntegerDistribution(dist);
+    if (target > EXACT_TARGET_LIMIT) return approxReach(d, crafts, target);
+    let vec = new Float64Array(target + 1); vec[0] = 1;
+    for (let k = 0; k < crafts; k++) vec = convolveStep(vec, d, target);
+    return vec[target];
+  }
+  // Fewest crafts that reach `target` units with probability >= conf
+  function craftsForConfidence(dist, target, conf) {
+    target = Math.ceil(target - 1e-9);
+    if (target <= 0) return { crafts: 0, prob: 1 };
+    const d = toIntegerDistribution(dist);
+    const maxQ = d.length ? d[d.length - 1][0] : 0;
+    if (maxQ <= 0) throw new Error('Yield is always 0; no number of crafts reaches the target.');
+    const LIMIT = 1e6;
+    if (target > EXACT_TARGET_LIMIT) {
+      let k = Math.ceil(target / maxQ);
+      while (approxReach(d, k, target) < conf) if (++k > LIMIT) throw new Error('Too many crafts needed for this confidence.');
+      return { crafts: k, prob: approxReach(d, k, target) };
+    }
+    let vec = new Float64Array(target + 1); vec[0] = 1;
+    let k = 0;
+    while (vec[target] < conf - 1e-12) {
+      vec = convolveStep(vec, d, target);
+      if (++k > LIMIT) throw new Error('Too many crafts needed for this confidence.');
+    }
+    return { crafts: k, prob: vec[target] };
+  }
+
+  function takeFromStock(stock, name, units) {
+    if (!stock || !(stock[name] > 0) || !(units > 0)) return 0;
+    const n = Math.min(stock[name], units);
+    stock[name] -= n;
+    return n;
+  }
+
+  // A line's Action: gathering that spends Focus is mining
+  const actionFor = rec => rec.IsMineable ? ((rec.FocusCost || 0) > 0 ? 'Mine' : 'Gather') : 'Craft';
+
+  // ----------------- Engine -----------------
+  const RouteObjective = { Focus: 'focus', Time: 'time', Mix: 'mix' };
+  // Plans optimizeMix may calculate in its exact search before settling for the best found
+  const OPTIMIZE_EVALUATIONS = 20000;
+
+  /**
+   * One calculator over fixed inputs:
+   * - recipes:        name -> normalized recipe (see parseRecipes)
+   * - masteries:      a profile's Life Skill -> selected levels/perks
+   * - definitions:    normalized mastery rules (built-in ones when omitted)
+   * - routeObjective: RouteObjective for materials with alternative routes; routeWeight is
+   *                   the Focus a minute is worth under RouteObjective.Mix
+   * Route choices are cached per engine, so build a new one when any input changes.
+   */
+  function createEngine({ recipes = {}, masteries = {}, definitions = null, routeObjective = RouteObjective.Focus, routeWeight = 0 } = {}) {
+    const get = name => (name ? recipes[name] : null);
+    const variants = name => recipeVariants(recipes[name]);
+    const effects = rec => masteryEffects(rec, masteries, definitions);
+
+    // Mastery EV logic: whole part = flat extras, fraction = chance of +1 (see masteryEffects)
+    function masteryEVBonus(rec) {
+      const fx = effects(rec);
+      return fx.flat + fx.chance;
+    }
+
+    function applyAllYieldMods(rec, action, baseYield) {
+      let y = Math.max(0, Number(baseYield) || 0);
+      const fx = effects(rec);
+      y *= 1 + fx.yieldPct / 100;
+      y *= 1 + fx.doublePct / 100;
+      y += masteryEVBonus(rec);
+      return y;
+    }
+
+    // Effects apply in EFFECT_ORDER: % yield scales each outcome, the double chance splits it,
+    // then the whole part of masteryEVBonus is a flat extra and the fraction is the chance of +1.
+    function craftDistribution(rec, action) {
+      const bonus = Math.max(0, masteryEVBonus(rec));
+      const fx = effects(rec);
+      const scale = 1 + fx.yieldPct / 100;
+      const double = clamp(fx.doublePct / 100, 0, 1);
+      const flat = Math.floor(bonus + 1e-9);
+      const chance = bonus - flat > 1e-9 ? bonus - flat : 0;
+      const acc = new Map();
+      const put = (q, p) => { if (p > 0) acc.set(q, (acc.get(q) || 0) + p); };
+      for (const [q0, p0] of baseYieldDistribution(rec)) {
+        const q1 = Math.max(0, q0 * scale);
+        for (const [q, p] of [[q1, p0 * (1 - double)], [q1 * 2, p0 * double]]) {
+          put(q + flat, p * (1 - chance));
+          put(q + flat + 1, p * chance);
+        }
+      }
+      return [...acc.entries()].sort((a, b) => a[0] - b[0]);
+    }
+
+    function effectiveTimePerCraft(rec, action) {
+      let t = Math.max(0, nz(rec.TimePerCraftSeconds, 0));
+      const fx = effects(rec);
+      t *= Math.max(0, 1 + fx.timePct / 100);
+      const cap = fx.timeCap;
+      if (cap > 0) t = Math.min(t, cap);
+      return t;
+    }
+
+    // Yield shown per craft and crafts needed for reqUnits under a yield/confidence mode
+    function yieldAndCrafts(rec, action, reqUnits, mode) {
+      const conf = confidenceOf(mode);
+      if (conf != null) {
+        const dist = craftDistribution(rec, action);
+        const y = Math.round(dist.reduce((s, [q, p]) => s + q * p, 0) * 1e4) / 1e4;
+        if (reqUnits > 0 && !dist.some(([q]) => q > 0)) {
+          throw new Error(`Yield is always 0 for "${rec.Name}"; cannot produce the requested units.`);
+        }
+        return { y, crafts: reqUnits > 0 ? craftsForConfidence(dist, reqUnits, conf).crafts : 0 };
+      }
+      let y = effectiveYield(rec, mode);
+      y = applyAllYieldMods(rec, action, y);
+      if (reqUnits > 0 && y <= 0) {
+        throw new Error(`Effective yield is 0 for "${rec.Name}" in current yield mode; cannot produce the requested units. Try Average/Optimistic or define probabilities.`);
+      }
+      return { y, crafts: Math.ceil(reqUnits / Math.max(y, 0.0000001)) }; // guard tiny floats
+    }
+
+    // ----- Route selection for materials with alternative recipes -----
+    // Each route is scored by its Focus and time per produced unit, all the way down
+    // (ignoring per-craft rounding), and the cheapest route under the chosen objective wins.
+    const routeCache = new Map(); // mode -> { name -> { best, options } }
+
+    function routeScore(focus, seconds) {
+      if (routeObjective === RouteObjective.Time) return seconds;
+      if (routeObjective === RouteObjective.Mix) return focus + nz(routeWeight, 0) * seconds / 60;
+      return focus;
+    }
+
+    function routeInfo(name, mode) {
+      if (!routeCache.has(mode)) routeCache.set(mode, {});
+      const memo = routeCache.get(mode);
+      const onPath = new Set();
+      function unit(n) {
+        if (memo[n]) return memo[n].best;
+        if (onPath.has(n) || !get(n)) return { focus: Infinity, time: Infinity };
+        onPath.add(n);
+        const options = variants(n).map((v, index) => {
+          const action = actionFor(v);
+          const y = applyAllYieldMods(v, action, effectiveYield(v, mode));
+          let focus = v.FocusCost || 0, time = effectiveTimePerCraft(v, action);
+          for (const [ing, q] of Object.entries(v.Ingredients || {})) {
+            const u = unit(ing);
+            focus += q * u.focus; time += q * u.time;
+          }
+          focus = y > 0 ? focus / y : Infinity;
+          time = y > 0 ? time / y : Infinity;
+          return { index, variant: v.Variant || 'Default', focus, time, score: routeScore(focus, time) };
+        });
+        onPath.delete(n);
+        let best = options[0];
+        for (const o of options) if (o.score < best.score) best = o;
+        // Results found while part of a cycle depend on the path; don't cache those
+        if (Number.isFinite(best.score) || !options.some(o => !Number.isFinite(o.score))) memo[n] = { best, options };
+        return best;
+      }
+      unit(name);
+      return memo[name] || { best: { index: 0 }, options: [] };
+    }
+
+    // The recipe (route) the calculator uses for a material
+    function recipeFor(name, mode) {
+      const rec = get(name);
+      if (!rec?.Alternatives?.length) return rec;
+      return variants(name)[routeInfo(name, mode).best.index] || rec;
+    }
+    // The route a calculated line used
+    function lineRecipe(ln) {
+      const vs = variants(ln.Material);
+      return (ln.Variant && vs.find(v => v.Variant === ln.Variant)) || vs[0] || null;
+    }
+
+    // One target; same as a plan of just that target (see calculatePlan), so demand for a
+    // material reached along several paths is rounded to crafts once.
+    // stock (optional): material -> units on hand; used up before crafting.
+    // The caller's object is not modified; what remains is returned as stockLeft.
+    // modes (optional): material -> yield mode used for that material instead of `mode`.
+    function calculateFocus(target, unitsRequested, mode, stock = null, modes = null) {
+      return calculatePlan([{ name: target, qty: unitsRequested }], mode, stock, modes);
+    }
+
+    // Every material the targets need, ordered so each comes after all of its consumers
+    function planOrder(targets, mode, modes = null) {
+      const order = [];
+      const visitState = {};
+      const stack = [];
+      function visit(name) {
+        const rec = recipeFor(name, modes?.[name] || mode);
+        if (!rec) throw new Error(`Unknown material: ${name}`);
+        if (visitState[name] === 1) throw new Error(`Cycle detected: ${[...stack.slice(stack.indexOf(name)), name].join(' -> ')}`);
+        if (visitState[name] === 2) return;
+        visitState[name] = 1; stack.push(name);
+        for (const ing of Object.keys(rec.Ingredients || {})) visit(ing);
+        stack.pop(); visitState[name] = 2;
+        order.push(name);
+      }
+      for (const t of targets) visit(t.name);
+      return order.reverse();
+    }
+
+    // Several targets at once. Demand for every material is totalled across the whole plan
+    // (consumers are processed before their ingredients), then rounded to crafts once, so
+    // shared intermediates are not rounded up separately per target.
+    // targets: [{ name, qty }] -> { totalFocus, lines } where each material appears once,
+    // Level is its longest distance from a plan target, UsedBy lists its consumers and
+    // Surplus is what the rounded-up crafts make beyond the demand (expected, for odds modes).
+    function calculatePlan(targets, mode, stock = null, modes = null) {
+      const stockLeft = stock ? { ...stock } : null;
+      const order = planOrder(targets, mode, modes);
+
+      const demand = {};
+      const level = {};
+      const usedBy = {};
+      for (const t of targets) {
+        demand[t.name] = (demand[t.name] || 0) + t.qty;
+        level[t.name] = 0;
+        (usedBy[t.name] = usedBy[t.name] || []).push('Plan');
+      }
+
+      const lines = [];
+      let totalFocus = 0;
+      for (const name of order) {
+        const nodeMode = modes?.[name] || mode;
+        const rec = recipeFor(name, nodeMode);
+        const requested = demand[name] || 0;
+        const fromStock = takeFromStock(stockLeft, name, requested);
+        const reqUnits = requested - fromStock;
+        const action = actionFor(rec);
+        const { y, crafts } = yieldAndCrafts(rec, action, reqUnits, nodeMode);
+        const nodeFocus = crafts * (rec.FocusCost || 0);
+        lines.push({
+          Level: level[name] || 0,
+          Action: action,
+          Material: rec.Name,
+          Variant: rec.Variant || null,
+          Crafts: crafts,
+          Yield: y,
+          UnitsRequested: requested,
+          FromStock: fromStock,
+          FocusUsed: nodeFocus,
+          TimeUsedSeconds: crafts * effectiveTimePerCraft(rec, action),
+          Surplus: Math.max(0, Math.round((crafts * y - reqUnits) * 1e4) / 1e4),
+          UsedBy: usedBy[name] || []
+        });
+        totalFocus += nodeFocus;
+
+        for (const [ing, perCraft] of Object.entries(rec.Ingredients || {})) {
+          demand[ing] = (demand[ing] || 0) + perCraft * crafts;
+          level[ing] = Math.max(level[ing] || 0, (level[name] || 0) + 1);
+          (usedBy[ing] = usedBy[ing] || []).push(name);
+        }
+      }
+      return { totalFocus, lines, stockLeft };
+    }
+
+    function maxCraftable(target, availableFocus, mode, stock = null, modes = null) {
+      const oneUnit = calculateFocus(target, 1, mode, null, modes).totalFocus;
+      if (oneUnit <= 0) return 0;
+      let lo = 0, hi = 1;
+      while (true) {
+        const f = calculateFocus(target, hi, mode, stock, modes).totalFocus;
+        if (f > availableFocus) break;
+        hi *= 2; if (hi > 1_000_000_000) break;
+      }
+      while (lo < hi) {
+        const mid = lo + Math.floor((hi - lo + 1) / 2);
+        const f = calculateFocus(target, mid, mode, stock, modes).totalFocus;
+        if (f <= availableFocus) lo = mid; else hi = mid - 1;
+      }
+      return lo;
+    }
+
+    // What a run needs beyond the budgets: { name, need, have } per raw material (no
+    // ingredients) not covered by the bag, and 'Focus' / 'Time' over their budget.
+    // With a bag, raw materials can only come from it; without one they are unlimited.
+    // budgets: { focus, time (seconds), bag }, each optional (null = no limit).
+    function shortfalls(run, budgets) {
+      const short = [];
+      if (budgets.bag) {
+        for (const ln of run.lines) {
+          const rec = lineRecipe(ln);
+          const isLeaf = !rec || !rec.Ingredients || Object.keys(rec.Ingredients).length === 0;
+          if (isLeaf && ln.UnitsRequested - (ln.FromStock || 0) > 0) {
+            short.push({ name: ln.Material, need: ln.UnitsRequested, have: ln.FromStock || 0 });
+          }
+        }
+      }
+      if (budgets.focus != null && run.totalFocus > budgets.focus + 1e-9) {
+        short.push({ name: 'Focus', need: run.totalFocus, have: budgets.focus });
+      }
+      const time = sumTimeSeconds(run.lines);
+      if (budgets.time != null && time > budgets.time + 1e-9) short.push({ name: 'Time', need: time, have: budgets.time });
+      return short;
+    }
+
+    // Largest n >= 0 with fits(n), assuming fits only turns false as n grows
+    function largestFitting(fits) {
+      let lo = 0, hi = 1;
+      while (fits(hi)) {
+        lo = hi;
+        hi *= 2;
+        if (hi > 1_000_000_000) return { qty: lo, unbounded: true };
+      }
+      while (hi - lo > 1) {
+        const mid = lo + Math.floor((hi - lo) / 2);
+        if (fits(mid)) lo = mid; else hi = mid;
+      }
+      return { qty: lo, unbounded: false };
+    }
+
+    // Largest quantity of target that the bag and a Focus budget allow, when raw materials
+    // (no ingredients) can only come from the bag; intermediates may be crafted or taken from it.
+    // focus null means no Focus limit. Returns { qty, unbounded, limits, run, focusLeft } where
+    // limits lists what stops one more unit: { name, need, have } (name 'Focus' for the budget)
+    // and run is the calculation at qty, with what is left of the bag as run.stockLeft.
+    function maxFromBag(target, bag, focus, mode, modes = null) {
+      const budgets = { focus, bag: bag || {} };
+      const runFor = qty => calculateFocus(target, qty, mode, budgets.bag, modes);
+      const { qty, unbounded } = largestFitting(n => !shortfalls(runFor(n), budgets).length);
+      const run = runFor(qty);
+      return {
+        qty,
+        unbounded,
+        limits: unbounded ? [] : shortfalls(runFor(qty + 1), budgets),
+        run,
+        focusLeft: (focus == null ? Infinity : focus) - run.totalFocus
+      };
+    }
+
+    // Mix of products worth the most within the budgets, in whole units, planned together so
+    // shared intermediates are rounded once (see calculatePlan).
+    // products: [{ name, value }] (value per unit); budgets: { focus, time (seconds), bag }
+    // as in shortfalls, at least one set.
+    // A greedy pass (repeatedly add a step of the product with the most value per share of the
+    // tightest budget it uses) gives a first mix; a branch-and-bound search over each product's
+    // quantity then proves it best or finds a better one. Needs only grow with quantities, so
+    // "the most of p that still fits" bounds every branch. The search stops after
+    // OPTIMIZE_EVALUATIONS plans; `exact` is false when it did and the mix is the best found.
+    // Products no budget limits are left out and listed in `unlimited`.
+    // -> { targets: [{ name, qty, value, blockedBy }], totalValue, run, time, binding, exact,
+    //      unlimited } where blockedBy names what stops one more unit of that product and
+    //      binding lists those budgets as { name, used, limit }.
+    function optimizeMix(products, budgets, mode, modes = null) {
+      const bag = budgets.bag || null;
+      if (budgets.focus == null && budgets.time == null && !bag) {
+        throw new Error('Set a Focus, time or material budget to optimise against.');
+      }
+      const candidates = products.filter(p => p.value > 0 && get(p.name));
+      if (!candidates.length) throw new Error('No product with a value above 0 and a recipe.');
+
+      let evaluations = 0;
+      const runFor = qty => {
+        evaluations++;
+        return calculatePlan(
+          candidates.filter(p => qty[p.name] > 0).map(p => ({ name: p.name, qty: qty[p.name] })),
+          mode, bag || null, modes
+        );
+      };
+      const fits = qty => !shortfalls(runFor(qty), budgets).length;
+      // Most extra units of p that fit on top of qty, searching upwards from `from` (known to fit)
+      const mostMore = (qty, p, from = 0) => {
+        const fitsN = n => fits({ ...qty, [p.name]: (qty[p.name] || 0) + n });
+        let lo = from, step = 1;
+        while (fitsN(lo + step)) { lo += step; step *= 2; }
+        let hi = lo + step;
+        while (hi - lo > 1) {
+          const mid = lo + Math.floor((hi - lo) / 2);
+          if (fitsN(mid)) lo = mid; else hi = mid;
+        }
+        return lo;
+      };
+      const valueOf = qty => candidates.reduce((s, p) => s + (qty[p.name] || 0) * p.value, 0);
+
+      const solo = {};
+      const unlimited = [];
+      for (const p of candidates) {
+        const most = largestFitting(n => fits({ [p.name]: n }));
+        if (most.unbounded) unlimited.push(p.name);
+        else solo[p.name] = most.qty;
+      }
+      const pool = candidates
+        .filter(p => solo[p.name] > 0)
+        .sort((a, b) => (b.value * solo[b.name] - a.value * solo[a.name]) || a.name.localeCompare(b.name));
+
+      // Share of each budget a run uses; raw materials by units taken from the bag
+      const usage = run => {
+        const u = {};
+        if (budgets.focus != null) u.Focus = budgets.focus > 0 ? run.totalFocus / budgets.focus : (run.totalFocus > 0 ? Infinity : 0);
+        if (budgets.time != null) {
+          const t = sumTimeSeconds(run.lines);
+          u.Time = budgets.time > 0 ? t / budgets.time : (t > 0 ? Infinity : 0);
+        }
+        if (bag) for (const [name, have] of Object.entries(bag)) u[name] = have > 0 ? (have - (run.stockLeft?.[name] ?? have)) / have : 0;
+        return u;
+      };
+      const greedy = {};
+      let used = usage(runFor(greedy));
+      let scale = 4;
+      while (pool.length) {
+        const stepOf = p => Math.max(1, Math.floor(solo[p.name] / scale));
+        let best = null;
+        for (const p of pool) {
+          const step = stepOf(p);
+          const next = { ...greedy, [p.name]: (greedy[p.name] || 0) + step };
+          const r = runFor(next);
+          if (shortfalls(r, budgets).length) continue;
+          const u = usage(r);
+          const share = Math.max(0, ...Object.keys(u).map(k => u[k] - (used[k] || 0)));
+          const score = share > 0 ? p.value * step / share : Infinity;
+          if (!best || score > best.score) best = { score, next, u };
+        }
+        if (!best) {
+          if (pool.every(p => stepOf(p) === 1)) break;
+          scale *= 2;
+          continue;
+        }
+        Object.assign(greedy, best.next);
+        used = best.u;
+      }
+
+      let best = { qty: greedy, value: valueOf(greedy) };
+      let exact = true;
+      const limit = evaluations + OPTIMIZE_EVALUATIONS;
+      // Products i.. on top of qty (worth `value`); room[j] is how many of pool[j] fit on top of qty
+      const search = (i, qty, value, room) => {
+        const p = pool[i];
+        if (i === pool.length - 1) {
+          const v = value + room[i] * p.value;
+          if (v > best.value + 1e-9) best = { qty: { ...qty, [p.name]: room[i] }, value: v };
+          return;
+        }
+        // Fewer of p leaves at least as much room for the others, so each count found is a
+        // starting point for the next (smaller) n
+        const rest = room.slice(i + 1).map(() => 0);
+        for (let n = room[i]; n >= 0; n--) {
+          if (evaluations > limit) { exact = false; return; }
+          const v = value + n * p.value;
+          // Cheap bound first (room left by qty alone), then the room left once n are added
+          if (v + pool.slice(i + 1).reduce((s, r, k) => s + r.value * room[i + 1 + k], 0) <= best.value + 1e-9) continue;
+          const next = n ? { ...qty, [p.name]: n } : qty;
+          for (let k = 0; k < rest.length; k++) rest[k] = mostMore(next, pool[i + 1 + k], rest[k]);
+          if (v + pool.slice(i + 1).reduce((s, r, k) => s + r.value * rest[k], 0) <= best.value + 1e-9) continue;
+          search(i + 1, next, v, [...room.slice(0, i + 1), ...rest]);
+          if (!exact) return;
+        }
+      };
+      if (pool.length) search(0, {}, 0, pool.map(p => solo[p.name]));
+
+      const qty = best.qty;
+      const run = runFor(qty);
+      const targets = candidates.map(p => {
+        const blockedBy = unlimited.includes(p.name) ? []
+          : shortfalls(runFor({ ...qty, [p.name]: (qty[p.name] || 0) + 1 }), budgets).map(s => s.name);
+        return { name: p.name, qty: qty[p.name] || 0, value: p.value, blockedBy };
+      });
+      const time = sumTimeSeconds(run.lines);
+      const binding = [];
+      for (const name of new Set(targets.flatMap(t => t.blockedBy))) {
+        if (name === 'Focus') binding.push({ name, used: run.totalFocus, limit: budgets.focus });
+        else if (name === 'Time') binding.push({ name, used: time, limit: budgets.time });
+        else binding.push({ name, used: bag[name] != null ? bag[name] - (run.stockLeft?.[name] ?? 0) : 0, limit: bag[name] || 0 });
+      }
+      return { targets, totalValue: best.value, run, time, binding, exact, unlimited };
+    }
+
+    // What is left of a plan once some of it is done. progress: material -> { crafts, units,
+    // variant } with the crafts/gathers done so far and the units they actually made (lucky
+    // rolls included). Units made join the stock, the ingredients those crafts used leave it,
+    // and the plan is calculated again from there -> { run, stock }.
+    function remainingPlan(targets, mode, stock, modes, progress) {
+      const left = { ...(stock || {}) };
+      for (const [name, p] of Object.entries(progress || {})) {
+        left[name] = (left[name] || 0) + (p.units || 0);
+        const rec = lineRecipe({ Material: name, Variant: p.variant || null });
+        for (const [ing, q] of Object.entries(rec?.Ingredients || {})) left[ing] = (left[ing] || 0) - q * (p.crafts || 0);
+      }
+      for (const name of Object.keys(left)) if (!(left[name] > 0)) delete left[name];
+      return { run: calculatePlan(targets, mode, left, modes), stock: left };
+    }
+
+    // Raw materials (no ingredients) still to gather/craft, most Focus first. Lines already
+    // carry each material's total demand, so crafts, Focus and time are taken as calculated.
+    function leafChecklist(lines) {
+      const leaves = {};
+      for (const ln of lines) {
+        const rec = lineRecipe(ln);
+        const isLeaf = !rec || !rec.Ingredients || Object.keys(rec.Ingredients).length === 0;
+        if (!isLeaf) continue;
+        const v = leaves[ln.Material] = leaves[ln.Material] || { units: 0, crafts: 0, focus: 0, time: 0, surplus: 0, yieldEff: ln.Yield, action: ln.Action };
+        v.units += ln.UnitsRequested - (ln.FromStock || 0);
+        v.crafts += ln.Crafts;
+        v.focus += ln.FocusUsed || 0;
+        v.time += ln.TimeUsedSeconds || 0;
+        v.surplus += ln.Surplus || 0;
+      }
+      const rows = [];
+      for (const [name, v] of Object.entries(leaves)) {
+        if (v.units <= 0) continue; // fully covered by stock
+        rows.push({ action: v.action, name, crafts: v.crafts, yieldEff: v.yieldEff, units: v.units, focus: v.focus, time: v.time, surplus: v.surplus });
+      }
+      rows.sort((a, b) => (b.focus - a.focus) || a.action.localeCompare(b.action) || a.name.localeCompare(b.name));
+      return rows;
+    }
+
+    // The breakdown as CSV text, with Focus and time totals at the bottom
+    function toCsv(lines, totalFocus) {
+      const header = [
+        'Level', 'Action', 'Material', 'Route', 'Crafts', 'Yield', 'UnitsRequested', 'FromStock',
+        'FocusUsed', 'TimePerCraftSeconds', 'TimeUsedSeconds', 'TimeUsedFormatted', 'Surplus'
+      ];
+      const rows = [header.join(',')];
+      for (const ln of lines) {
+        const r = lineRecipe(ln) || {};
+        const tpc = nz(r.TimePerCraftSeconds, 0);
+        rows.push([
+          ln.Level,
+          csvEsc(ln.Action),
+          csvEsc(ln.Material),
+          csvEsc(ln.Variant || ''),
+          ln.Crafts,
+          ln.Yield,
+          ln.UnitsRequested,
+          ln.FromStock || 0,
+          fmt2(ln.FocusUsed),
+          Math.round(tpc),
+          Math.round(ln.TimeUsedSeconds || 0),
+          csvEsc(formatDuration(ln.TimeUsedSeconds || 0)),
+          ln.Surplus || 0
+        ].join(','));
+      }
+      const totalSec = sumTimeSeconds(lines);
+      rows.push(['', '', '', '', '', '', '', 'Total Focus', fmt2(totalFocus), '', '', ''].join(','));
+      rows.push(['', '', '', '', '', '', '', 'Total Time (seconds)', Math.round(totalSec), '', csvEsc(formatDuration(totalSec))].join(','));
+      return rows.join('\n');
+    }
+
+    return {
+      get, variants, masteryEffects: effects, masteryEVBonus, applyAllYieldMods, craftDistribution,
+      effectiveTimePerCraft, yieldAndCrafts, routeInfo, recipeFor, lineRecipe,
+      calculateFocus, planOrder, calculatePlan, maxCraftable, maxFromBag, optimizeMix, remainingPlan,
+      leafChecklist, toCsv
+    };
+  }
+
+  // ----------------- Focus schedule -----------------
+  // Splits a run's crafts and gathers into sessions as Focus regenerates. Work goes
+  // ingredients first (lines are consumer-first, so in reverse), each session doing as much as
+  // the Focus on hand pays for. The next session is the earliest of: `everyHours` later, when
+  // Focus reaches the cap (so nothing regenerates past it) or when it covers all that is left.
+  // pool: { current, cap, regenPerHour, everyHours (default 24) }; times are hours from now.
+  // -> { sessions: [{ at, focusBefore, focusAfter, steps: [{ action, material, variant, crafts,
+  //      focus, time }] }], finishAt (end of the last session's crafting time), focusNeeded }
+  function focusSchedule(lines, pool) {
+    const cap = Number(pool.cap);
+    const regen = Math.max(0, Number(pool.regenPerHour) || 0);
+    const every = Number(pool.everyHours) > 0 ? Number(pool.everyHours) : 24;
+    if (!(cap > 0)) throw new Error('Focus cap must be above 0.');
+    let focus = clamp(Number(pool.current) || 0, 0, cap);
+
+    const work = [];
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const ln = lines[i];
+      if (!(ln.Crafts > 0)) continue;
+      const perCraft = (ln.FocusUsed || 0) / ln.Crafts;
+      if (perCraft > cap + 1e-9) throw new Error(`One craft of ${ln.Material} costs ${fmt2(perCraft)} Focus, more than the cap.`);
+      work.push({ ln, left: ln.Crafts, perCraft, perTime: (ln.TimeUsedSeconds || 0) / ln.Crafts });
+    }
+    const focusNeeded = work.reduce((s, w) => s + w.left * w.perCraft, 0);
+
+    const sessions = [];
+    let at = 0;
+    let i = 0;
+    while (i < work.length) {
+      const session = { at, focusBefore: focus, focusAfter: focus, steps: [] };
+      while (i < work.length) {
+        const w = work[i];
+        const n = w.perCraft > 0 ? Math.min(w.left, Math.floor(focus / w.perCraft + 1e-9)) : w.left;
+        if (n > 0) {
+          session.steps.push({
+            action: w.ln.Action, material: w.ln.Material, variant: w.ln.Variant || null,
+            crafts: n, focus: n * w.perCraft, time: n * w.perTime
+          });
+          focus = Math.max(0, focus - n * w.perCraft);
+          w.left -= n;
+        }
+        if (w.left > 0) break;
+        i++;
+      }
+      session.focusAfter = focus;
+      if (session.steps.length) sessions.push(session);
+      if (i >= work.length) break;
+
+      if (!(regen > 0)) throw new Error(`Not enough Focus: ${fmt2(focusNeeded)} needed and it does not regenerate.`);
+      const rest = work.slice(i).reduce((s, w) => s + w.left * w.perCraft, 0);
+      const wait = Math.max(0, Math.min(every, (Math.min(rest, cap) - focus) / regen));
+      at += wait;
+      focus = Math.min(cap, focus + wait * regen);
+    }
+    const last = sessions[sessions.length - 1];
+    const finishAt = last ? last.at + last.steps.reduce((s, st) => s + st.time, 0) / 3600 : 0;
+    return { sessions, finishAt, focusNeeded };
+  }
+
+  // ----------------- Output -----------------
+  function sumTimeSeconds(lines) {
+    return lines.reduce((s, ln) => s + (ln.TimeUsedSeconds || 0), 0);
+  }
+
+  // What the text tree says about one line: taking from stock, the craft/gather step itself
+  // and, for plan lines, which recipes share the material
+  function describeLine(ln, showT) {
+    const out = [];
+    const timeTail = showT && ln.TimeUsedSeconds > 0 ? ` + ${formatDuration(ln.TimeUsedSeconds)}` : '';
+    if (ln.FromStock > 0) {
+      out.push(`Take ${ln.FromStock} ${ln.Material} from stock${ln.FromStock < ln.UnitsRequested ? ` (of ${ln.UnitsRequested} needed)` : ''}`);
+    }
+    if (!(ln.FromStock > 0 && ln.Crafts === 0)) {
+      if (ln.Action === 'Gather' && ln.FocusUsed === 0) {
+        out.push(`${ln.Action} ${ln.UnitsRequested - (ln.FromStock || 0)} ${ln.Material} (no Focus cost${timeTail ? ',' + timeTail : ''})`);
+      } else {
+        const via = ln.Variant ? ` [via ${ln.Variant}]` : '';
+        const spare = ln.Surplus > 0 ? `, ${ln.Surplus} spare` : '';
+        out.push(`${ln.Action} ${ln.Crafts}x ${ln.Material}${via} → ${fmt2(ln.FocusUsed)} Focus (Yield ${ln.Yield}, Req ${ln.UnitsRequested - (ln.FromStock || 0)}${spare})${timeTail}`);
+      }
+    }
+    if (ln.UsedBy && ln.UsedBy.length > 1) out.push(`shared by ${ln.UsedBy.join(', ')}`);
+    return out;
+  }
+
+  // The breakdown as an indented text tree
+  function renderTree(lines, showT) {
+    const out = [];
+    for (const ln of lines) {
+      const pad = ' '.repeat(ln.Level * 2);
+      for (const text of describeLine(ln, showT)) {
+        out.push(text.startsWith('shared by ') ? `${pad}    ↳ ${text}` : `${pad}- ${text}`);
+      }
+    }
+    return out.join('\n');
+  }
+
+  return {
+    // utilities
+    fmt2, isFiniteNum, nz, clamp, formatDuration, csvEsc,
+    // taxonomy and recipes
+    LIFE_SKILLS, CRAFTING_SKILLS, GATHERING_SKILLS, PERK_LIBRARY,
+    normalizeSkillName, classifyLifeSkill, normalizeRecipe, parseRecipes, recipeVariants,
+    // masteries
+    MASTERY_EFFECTS, MASTERY_DEFAULTS, EFFECT_ORDER, normalizeMasteryDefinitions, ruleMatches, masteryEffects,
+    // yields and odds
+    YieldMode, effectiveYield, baseYieldDistribution, confidenceMode, confidenceOf,
+    reachProbability, craftsForConfidence,
+    // calculation
+    RouteObjective, createEngine, actionFor, takeFromStock, focusSchedule, sumTimeSeconds, describeLine, renderTree
+  };
+});
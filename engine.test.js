@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// Regression checks for engine.js and cli.js against the bundled recipes.json.
+//
+//   node engine.test.js
+//
+// The single-target totals are the numbers the calculator page showed before the engine was
+// extracted from it (Safe / Average / Optimistic and a 90% confidence level, no masteries).
+// The rest pin down what the engine computes today, so a change to any of them is deliberate.
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const E = require('./engine.js');
+
+const { YieldMode, confidenceMode, sumTimeSeconds, focusSchedule } = E;
+const { map: recipes } = E.parseRecipes(require('./recipes.json'));
+const engine = E.createEngine({ recipes, masteries: {} });
+
+let failed = 0;
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`ok - ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${String(e.message || e).split('\n').join('\n  ')}`);
+  }
+}
+const totals = run => [run.totalFocus, sumTimeSeconds(run.lines)];
+
+test('calculateFocus matches the page for every yield mode', () => {
+  const expected = {
+    'Mystery Metal - Master': [30, { safe: [820, 285], average: [580, 205], optimistic: [260, 95], conf: [640, 225] }],
+    'Ruby - Power 5': [10, { safe: [1120, 300], average: [1100, 295], optimistic: [1060, 280], conf: [1100, 295] }],
+    'Fine Forgestone - Pro': [5, { safe: [150, 55], average: [120, 45], optimistic: [80, 30], conf: [140, 50] }],
+    'Buri Mech Shard - Pro': [3, { safe: [370, 105], average: [310, 90], optimistic: [90, 30], conf: [330, 95] }]
+  };
+  for (const [target, [qty, byMode]] of Object.entries(expected)) {
+    for (const [mode, want] of Object.entries(byMode)) {
+      const m = mode === 'conf' ? confidenceMode(0.9) : mode;
+      assert.deepEqual(totals(engine.calculateFocus(target, qty, m)), want, `${qty} × ${target} (${mode})`);
+    }
+  }
+});
+
+test('masteries change yields', () => {
+  const skilled = E.createEngine({
+    recipes,
+    masteries: { Mineralogy: { miningYieldLevel: 3 }, Smelting: { luckySmeltingLevel: 3 }, Artisanry: { artisanryLevel: 2 } }
+  });
+  assert.deepEqual(totals(skilled.calculateFocus('Mystery Metal - Master', 30, YieldMode.Safe)), [730, 255]);
+  assert.deepEqual(totals(skilled.calculateFocus('Mystery Metal - Master', 30, YieldMode.Avg)), [520, 185]);
+});
+
+test('calculatePlan totals demand per material before rounding', () => {
+  const run = engine.calculatePlan([{ name: 'Mystery Metal - Master', qty: 30 }, { name: 'Burning Powder', qty: 50 }], YieldMode.Safe);
+  assert.deepEqual(totals(run), [900, 305]);
+  const byName = Object.fromEntries(run.lines.map(ln => [ln.Material, ln]));
+  assert.equal(run.lines.length, 5, 'each material appears once');
+  assert.equal(byName['Burning Powder'].Crafts, 6);
+  assert.equal(byName['Burning Powder'].Surplus, 10);
+  assert.deepEqual(byName['Burning Powder'].UsedBy, ['Plan', 'Mystery Metal - Master']);
+  assert.equal(byName['Charcoal'].Surplus, 4);
+});
+
+test('stock is used before crafting', () => {
+  const run = engine.calculateFocus('Mystery Metal - Master', 30, YieldMode.Safe, { 'Baru Rich Ore': 100, 'Burning Powder': 30 });
+  assert.deepEqual(totals(run), [580, 220]);
+  assert.deepEqual(run.stockLeft, { 'Baru Rich Ore': 0, 'Burning Powder': 0 });
+});
+
+test('maxCraftable per mode and confidence level', () => {
+  assert.equal(engine.maxCraftable('Mystery Metal - Master', 500, YieldMode.Safe), 17);
+  assert.equal(engine.maxCraftable('Mystery Metal - Master', 500, YieldMode.Avg), 25);
+  assert.equal(engine.maxCraftable('Mystery Metal - Master', 500, YieldMode.Opt), 57);
+  assert.equal(engine.maxCraftable('Mystery Metal - Master', 500, confidenceMode(0.95)), 21);
+  assert.equal(engine.maxCraftable('Ruby - Power 5', 1000, YieldMode.Safe), 8);
+});
+
+test('maxFromBag names the limiting material and what is left', () => {
+  const bag = { 'Baru Rich Ore': 400, Logs: 60 };
+  const found = engine.maxFromBag('Mystery Metal - Master', bag, null, YieldMode.Safe);
+  assert.equal(found.qty, 50);
+  assert.deepEqual(found.limits, [{ name: 'Baru Rich Ore', need: 408, have: 400 }]);
+  assert.deepEqual(found.run.stockLeft, { 'Baru Rich Ore': 0, Logs: 32 });
+
+  const withFocus = engine.maxFromBag('Mystery Metal - Master', bag, 500, YieldMode.Safe);
+  assert.equal(withFocus.qty, 44);
+  assert.deepEqual(withFocus.limits.map(l => l.name), ['Focus']);
+  assert.equal(withFocus.focusLeft, 0);
+});
+
+test('optimizeMix finds the best integer mix and its binding budgets', () => {
+  const products = [{ name: 'Mystery Metal - Master', value: 30 }, { name: 'Burning Powder', value: 4 }];
+  const mix = engine.optimizeMix(products, { bag: { 'Baru Rich Ore': 400, Logs: 60 } }, YieldMode.Safe);
+  assert.equal(mix.exact, true);
+  assert.equal(mix.totalValue, 2500);
+  assert.deepEqual(mix.targets.map(t => [t.name, t.qty]), [['Mystery Metal - Master', 50], ['Burning Powder', 250]]);
+  assert.deepEqual(mix.binding.map(b => b.name).sort(), ['Baru Rich Ore', 'Logs']);
+
+  const byFocus = engine.optimizeMix([...products, { name: 'Logs', value: 1 }], { focus: 900 }, YieldMode.Safe);
+  assert.equal(byFocus.totalValue, 2700);
+  assert.deepEqual(byFocus.unlimited, ['Logs']);
+  assert.throws(() => engine.optimizeMix(products, {}, YieldMode.Safe), /budget/);
+});
+
+test('focusSchedule spreads a plan over sessions without passing the cap', () => {
+  const run = engine.calculateFocus('Mystery Metal - Master', 300, YieldMode.Safe);
+  const daily = focusSchedule(run.lines, { current: 1000, cap: 5000, regenPerHour: 100, everyHours: 24 });
+  assert.equal(daily.focusNeeded, 8200);
+  assert.deepEqual(daily.sessions.map(s => [s.at, s.focusBefore, s.focusAfter]), [[0, 1000, 0], [24, 2400, 0], [48, 2400, 0], [72, 2400, 0]]);
+  assert.deepEqual(daily.sessions[0].steps.map(st => [st.material, st.crafts]), [['Baru Rich Ore', 50]]);
+
+  const capped = focusSchedule(run.lines, { current: 0, cap: 1000, regenPerHour: 100 });
+  assert.deepEqual(capped.sessions.map(s => s.at), [10, 20, 30, 40, 50, 60, 70, 80, 82]);
+  assert.ok(capped.sessions.every(s => s.focusBefore <= 1000));
+  assert.throws(() => focusSchedule(run.lines, { current: 0, cap: 1000, regenPerHour: 0 }), /does not regenerate/);
+});
+
+test('cli.js prints the same totals', () => {
+  const cli = args => execFileSync(process.execPath, [path.join(__dirname, 'cli.js'), ...args], { encoding: 'utf8' });
+  assert.match(cli(['--target', 'Mystery Metal - Master', '--qty', '30']), /Total Focus: 820\.00 · Time: 04:45/);
+  assert.match(cli(['--target', 'Mystery Metal - Master', '--focus', '500', '--mode', 'average']), /Max craftable with 500\.00 Focus: 25 ×/);
+  assert.match(cli(['--plan', 'Mystery Metal - Master=30,Burning Powder=50']), /Total Focus: 900\.00/);
+});
+
+if (failed) {
+  console.log(`\n${failed} failed`);
+  process.exitCode = 1;
+}